@@ -0,0 +1 @@
+export { autoInit } from './src/auto.js';
@@ -0,0 +1 @@
+export { defineElements } from './src/elements.js';
@@ -1 +1 @@
-export { Pointer, Gyro } from './src/index.js';
+export { Pointer, Gyro, Hybrid, getAnimationScene, getCSSVarsScene, ManualSource } from './src/index.js';
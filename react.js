@@ -0,0 +1,105 @@
+import { useEffect, useRef, useState } from 'react';
+import { Pointer } from './src/Pointer.js';
+import { Gyro } from './src/Gyro.js';
+import { getBindingConfig, syncScenes, optionsEqual, bindLatestFunctions } from './src/bindings.js';
+
+/**
+ * Returns the same options object as long as its values don't change.
+ * Inline objects are compared by value, and inline functions are read from latest options.
+ *
+ * @private
+ * @param {BindingOptions} [options]
+ * @return {BindingOptions}
+ */
+function useStableOptions (options) {
+  const ref = useRef(options);
+
+  if (!optionsEqual(ref.current, options)) {
+    ref.current = options;
+  }
+
+  return ref.current;
+}
+
+/**
+ * Runs a controller while the component is mounted.
+ * Restarts it only when root or options change, and adds or removes scenes as they change.
+ *
+ * @private
+ * @param {typeof Pointer|typeof Gyro} Controller
+ * @param {{current: HTMLElement}} [ref]
+ * @param {Array<PointerScene|GyroScene>} scenes
+ * @param {BindingOptions} [options]
+ * @return {{controller: Pointer|Gyro|null, progress: Object|null}}
+ */
+function useController (Controller, ref, scenes, options) {
+  const [controller, setController] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const stableOptions = useStableOptions(options);
+  const latestOptions = useRef(options);
+  const latestScenes = useRef(scenes);
+  const currentScenes = useRef([]);
+
+  latestOptions.current = options;
+  latestScenes.current = scenes;
+
+  useEffect(() => {
+    const config = bindLatestFunctions(stableOptions, () => latestOptions.current);
+    const instance = new Controller(getBindingConfig(Controller, ref?.current, config, setProgress));
+
+    instance.start();
+    currentScenes.current = syncScenes(instance, [], latestScenes.current);
+    setController(instance);
+
+    return () => {
+      instance.destroy();
+      currentScenes.current = [];
+      setController(null);
+    };
+  }, [Controller, ref, stableOptions]);
+
+  useEffect(() => {
+    if (controller) {
+      currentScenes.current = syncScenes(controller, currentScenes.current, scenes);
+    }
+  }, [controller, scenes]);
+
+  return { controller, progress };
+}
+
+/**
+ * React hook that runs a Pointer while the component is mounted.
+ * Memoize scenes, e.g. with useMemo, since a scene that changes identity is destroyed and set up again.
+ *
+ * @param {{current: HTMLElement}} [ref] ref of the root element. Defaults to the viewport.
+ * @param {PointerScene[]} scenes
+ * @param {BindingOptions} [options] PointerConfig options, and trackProgress to re-render with progress.
+ * @return {{controller: Pointer|null, progress: PointerProgress|null}}
+ *
+ * @example
+ * import { usePointer } from 'kuliso/react.js';
+ *
+ * function Card () {
+ *   const ref = useRef(null);
+ *   const scenes = useMemo(() => [{ effect: (scene, { x }) => { ... } }], []);
+ *
+ *   usePointer(ref, scenes, { transitionDuration: 200 });
+ *
+ *   return <div ref={ref} />;
+ * }
+ */
+export function usePointer (ref, scenes, options) {
+  return useController(Pointer, ref, scenes, options);
+}
+
+/**
+ * React hook that runs a Gyro while the component is mounted.
+ * Memoize scenes, e.g. with useMemo, since a scene that changes identity is destroyed and set up again.
+ *
+ * @param {GyroScene[]} scenes
+ * @param {BindingOptions} [options] GyroConfig options, and trackProgress to re-render with progress.
+ * @return {{controller: Gyro|null, progress: Object|null}}
+ */
+export function useGyro (scenes, options) {
+  return useController(Gyro, null, scenes, options);
+}
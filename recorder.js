@@ -0,0 +1 @@
+export { record, Player } from './src/recorder.js';
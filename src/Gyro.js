@@ -1,5 +1,11 @@
 import { getController } from './gyroController.js';
-import { frameThrottle, clamp } from './utilities.js';
+import { Emitter } from './emitter.js';
+import { getTrigger, startTransition, startSpring } from './transition.js';
+import { getFilter } from './filters.js';
+import { clamp } from './utilities.js';
+import { OrientationSource } from './sources.js';
+
+const SPRING_PRECISION = 1e-4; // in progress units
 
 /**
  * @private
@@ -24,23 +30,21 @@ const DEFAULTS = {
  *
  * gyro.start();
  */
-export class Gyro {
+export class Gyro extends Emitter {
   constructor (config = {}) {
+    super();
+
     this.config = { ...config };
 
     this.effect = null;
     this._nextTick = null;
+    this._nextTransitionTick = null;
+    this._startTime = 0;
+    this.permission = null;
 
-    const trigger = frameThrottle(() => {
-      this.tick();
-    });
+    const trigger = getTrigger(this);
 
-    this.progress = {
-      x: 0,
-      y: 0,
-      vx: 0,
-      vy: 0
-    };
+    this.source = this.config.source || new OrientationSource(this.config);
 
     this.samples = typeof this.config.samples == 'number' ? this.config.samples : DEFAULTS.samples;
     this.maxBeta = this.config.maxBeta || DEFAULTS.maxBeta;
@@ -48,34 +52,107 @@ export class Gyro {
     const totalAngleX = this.maxGamma * 2;
     const totalAngleY = this.maxBeta * 2;
 
-    let lastGammaZero = 0, lastBetaZero = 0, gammaZero = 0, betaZero = 0, samples = this.samples;
+    this._resetFilters = () => {
+      this._filters = this.config.smoothing
+        ? { x: getFilter(this.config.smoothing), y: getFilter(this.config.smoothing) }
+        : null;
+    };
+
+    this.resetInput();
+
+    this._orientationChange = () => {
+      this._rotationRate = null;
+      this._resetFilters();
+      this.recalibrate();
+    };
+
+    /*
+     * Update progress from angles on the screen's horizontal and vertical axes.
+     */
+    const measureAngles = (angles, time) => {
+      const lastSample = this._lastSample;
 
-    this._measure = (event) => {
-      if (event.gamma === null || event.beta === null) {
-        return;
+      if (this._filters) {
+        // smooth out sensor noise
+        angles.x = this._filters.x(angles.x, time);
+        angles.y = this._filters.y(angles.y, time);
       }
 
-      // initial angles calibration
-      if (samples > 0) {
-        lastGammaZero = gammaZero;
-        lastBetaZero = betaZero;
+      if (this._rotationRate) {
+        // prefer the sensor's own rate when available
+        this.progress.angularVx = this._rotationRate.x;
+        this.progress.angularVy = this._rotationRate.y;
+      }
+      else if (lastSample && time > lastSample.time) {
+        const dt = (time - lastSample.time) / 1e3;
+
+        this.progress.angularVx = (angles.x - lastSample.x) / dt;
+        this.progress.angularVy = (angles.y - lastSample.y) / dt;
+      }
 
-        if (gammaZero == null) {
-          gammaZero = event.gamma;
-          betaZero = event.beta;
+      this.progress.vx = +(this.progress.angularVx / totalAngleX).toPrecision(4);
+      this.progress.vy = +(this.progress.angularVy / totalAngleY).toPrecision(4);
+
+      const calibration = this._calibration;
+
+      // angles calibration
+      if (calibration.samples > 0) {
+        if (calibration.x == null) {
+          calibration.x = angles.x;
+          calibration.y = angles.y;
         } else {
-          gammaZero = (event.gamma + lastGammaZero) / 2;
-          betaZero = (event.beta + lastBetaZero) / 2;
+          calibration.x = (angles.x + calibration.x) / 2;
+          calibration.y = (angles.y + calibration.y) / 2;
         }
 
-        samples -= 1;
+        calibration.samples -= 1;
+
+        if (!calibration.samples) {
+          this.emit('calibrate', { x: calibration.x, y: calibration.y });
+        }
+      }
+      else if (this.config.recenterDuration && lastSample && time > lastSample.time) {
+        // slowly drift neutral angles toward current orientation
+        const factor = 1 - Math.exp((lastSample.time - time) / this.config.recenterDuration);
+
+        calibration.x += (angles.x - calibration.x) * factor;
+        calibration.y += (angles.y - calibration.y) * factor;
       }
 
-      this.progress.x = +clamp(0, 1, (event.gamma - gammaZero + this.maxGamma) / totalAngleX).toPrecision(4);
-      this.progress.y = +clamp(0, 1, (event.beta -  betaZero + this.maxBeta) / totalAngleY).toPrecision(4);
+      this._lastSample = { time, x: angles.x, y: angles.y };
+
+      this.progress.x = +clamp(0, 1, (angles.x - calibration.x + this.maxGamma) / totalAngleX).toPrecision(4);
+      this.progress.y = +clamp(0, 1, (angles.y - calibration.y + this.maxBeta) / totalAngleY).toPrecision(4);
 
       this._nextTick = trigger();
     };
+
+    /*
+     * Update progress from angles on the screen's axes, or from normalized input mapped to the angles range.
+     */
+    this._measure = (input) => {
+      const angles = this.source.normalized
+        ? { x: input.x * totalAngleX - this.maxGamma, y: input.y * totalAngleY - this.maxBeta }
+        : { x: input.x, y: input.y };
+
+      measureAngles(angles, input.time ?? performance.now());
+    };
+
+    /*
+     * Handle input of the source.
+     */
+    this._input = (input) => {
+      switch (input.type) {
+        case 'devicemotion':
+          this._rotationRate = input.rotationRate;
+          break;
+        case 'orientationchange':
+          this._orientationChange();
+          break;
+        default:
+          this._measure(input);
+      }
+    };
   }
 
   /**
@@ -84,6 +161,107 @@ export class Gyro {
   start () {
     this.setupEffect();
     this.setupEvent();
+    this.emit('start');
+  }
+
+  /**
+   * Reset input state to its initial values: progress, calibration, smoothing filters, last sample,
+   * and any running transition or spring.
+   * Effects are updated on next input.
+   */
+  resetInput () {
+    this._nextTransitionTick && cancelAnimationFrame(this._nextTransitionTick);
+    this._nextTransitionTick = null;
+    this._startTime = 0;
+    this._springState = null;
+
+    // a neutral orientation is at the center
+    this.progress = {
+      x: 0.5,
+      y: 0.5,
+      vx: 0,
+      vy: 0,
+      angularVx: 0,
+      angularVy: 0
+    };
+    this.previousProgress = { ...this.progress };
+    this.currentProgress = null;
+
+    // with no samples the neutral angles are 0
+    this._calibration = {
+      samples: this.samples,
+      x: this.samples ? null : 0,
+      y: this.samples ? null : 0
+    };
+
+    this._lastSample = null;
+    this._rotationRate = null;
+    this._resetFilters();
+  }
+
+  /**
+   * Restart calibration of the neutral angles, using the next samples of device orientation.
+   * Useful when the user changes posture, e.g. from sitting to lying down.
+   */
+  recalibrate () {
+    this._calibration = {
+      samples: Math.max(1, this.samples),
+      x: null,
+      y: null
+    };
+    this._lastSample = null;
+  }
+
+  /**
+   * Request permission to read device orientation.
+   * On iOS Safari this shows a prompt, so must be called from a user gesture handler, e.g. click.
+   * When permission is denied, calls each scene's fallback.
+   *
+   * @example
+   * button.addEventListener('click', () => {
+   *   gyro.requestPermission().then((state) => {
+   *     if (state === 'granted') {
+   *       gyro.start();
+   *     }
+   *   });
+   * });
+   *
+   * @returns {Promise<GyroPermissionState>}
+   */
+  requestPermission () {
+    const OrientationEvent = window.DeviceOrientationEvent;
+    let request;
+
+    if (!OrientationEvent) {
+      request = Promise.resolve('unsupported');
+    }
+    else if (typeof OrientationEvent.requestPermission !== 'function') {
+      // no prompt required
+      request = Promise.resolve('granted');
+    }
+    else {
+      const requests = [OrientationEvent.requestPermission()];
+
+      if (this.config.useRotationRate && typeof window.DeviceMotionEvent?.requestPermission === 'function') {
+        requests.push(window.DeviceMotionEvent.requestPermission());
+      }
+
+      // rejects when not called from a user gesture
+      request = Promise.all(requests)
+        .then(([state]) => state)
+        .catch(() => 'denied');
+    }
+
+    return request.then((state) => {
+      this.permission = state;
+      this.emit('permission', { state });
+
+      if (state === 'denied') {
+        this.config.scenes.forEach(scene => scene.fallback?.(scene));
+      }
+
+      return state;
+    });
   }
 
   /**
@@ -91,6 +269,7 @@ export class Gyro {
    */
   pause () {
     this.removeEvent();
+    this.emit('pause');
   }
 
   /**
@@ -101,6 +280,70 @@ export class Gyro {
     this.effect.tick(this.progress);
   }
 
+  /**
+   * Starts a transition from the previous progress to the current progress.
+   *
+   * @returns {number} the requestAnimationFrame id for the transition tick.
+   */
+  transition () {
+    return startTransition(this);
+  }
+
+  /**
+   * Starts, or keeps running, a spring simulation from the current progress towards the progress.
+   * New input only moves the spring's target, so momentum is kept.
+   *
+   * @returns {number} the requestAnimationFrame id for the spring tick.
+   */
+  spring () {
+    return startSpring(this, SPRING_PRECISION);
+  }
+
+  /**
+   * Add a scene, and set it up on the running effect without affecting other scenes.
+   *
+   * @param {GyroScene} scene
+   */
+  addScene (scene) {
+    this.config.scenes = [...this.config.scenes, scene];
+    this.effect && this.effect.addScene(scene);
+  }
+
+  /**
+   * Remove a scene, and destroy it on the running effect without affecting other scenes.
+   *
+   * @param {GyroScene} scene
+   */
+  removeScene (scene) {
+    if (!this.config.scenes.includes(scene)) {
+      return;
+    }
+
+    this.config.scenes = this.config.scenes.filter(other => other !== scene);
+    this.effect && this.effect.removeScene(scene);
+  }
+
+  /**
+   * Replace a scene with a new one in the same position, without affecting other scenes.
+   *
+   * @param {GyroScene} scene the scene to replace
+   * @param {GyroScene} newScene
+   */
+  updateScene (scene, newScene) {
+    const index = this.config.scenes.indexOf(scene);
+
+    if (index === -1) {
+      return;
+    }
+
+    this.config.scenes = this.config.scenes.map((other, i) => i === index ? newScene : other);
+
+    if (this.effect) {
+      this.effect.removeScene(scene);
+      this.effect.addScene(newScene);
+    }
+  }
+
   /**
    * Stop the event and effect, and remove all DOM side-effects.
    */
@@ -108,21 +351,25 @@ export class Gyro {
     this.pause();
     this.removeEffect();
     this._nextTick && cancelAnimationFrame(this._nextTick);
+    this._nextTransitionTick && cancelAnimationFrame(this._nextTransitionTick);
+    this._nextTransitionTick = null;
+    this.emit('destroy');
   }
 
   /**
-   * Register to deviceorientation for triggering update.
+   * Connect to the input source for triggering update.
    */
   setupEvent () {
     this.removeEvent();
-    window.addEventListener('deviceorientation', this._measure, {passive: true});
+    this.source.connect(this._input);
   }
 
   /**
-   * Remove deviceorientation handler.
+   * Disconnect from the input source.
    */
   removeEvent () {
-    window.removeEventListener('deviceorientation', this._measure);
+    this.source.disconnect(this._input);
+    this._rotationRate = null;
   }
 
   /**
@@ -146,8 +393,17 @@ export class Gyro {
  * @typedef {object} GyroConfig
  * @property {GyroScene[]} scenes list of effect scenes to perform on deviceorientation event.
  * @property {number} [samples] number of samples to take for initial calibration.
- * @property {number} [maxBeta] maximum beta angle.
- * @property {number} [maxGamma] maximum gamma angle.
+ * @property {number} [maxBeta] maximum beta angle, on the screen's vertical axis.
+ * @property {number} [maxGamma] maximum gamma angle, on the screen's horizontal axis.
+ * @property {SmoothingConfig} [smoothing] filter to smooth out sensor noise.
+ * @property {boolean} [noThrottle] whether to disable throttling the effect by framerate.
+ * @property {number} [transitionDuration] duration of transition effect in milliseconds.
+ * @property {function} [transitionEasing] easing function for transition effect.
+ * @property {boolean|SpringConfig} [spring] whether to follow the device's orientation with a spring simulation instead of a timed transition.
+ * @property {boolean} [ignoreScreenOrientation] whether to always map gamma to x and beta to y, regardless of the screen's orientation.
+ * @property {number} [recenterDuration] time in milliseconds for the neutral angles to drift toward the current orientation. Disabled by default.
+ * @property {boolean} [useRotationRate] whether to take velocity from devicemotion's rotationRate when the device provides it.
+ * @property {InputSource} [source] an input source that drives the controller instead of the default source of device orientation events.
  */
 
 /**
@@ -155,13 +411,28 @@ export class Gyro {
  * @desc A configuration object for a scene. Must be provided an effect function.
  * @example { effects: (scene, p) => { animation.currentTime = p.x; } }
  * @property {GyroEffectCallback} effect the effect to perform.
+ * @property {SceneCurve|{x: SceneCurve, y: SceneCurve}} [curve] mapping of the scene's progress, on both axes or per axis.
  * @property {boolean} [disabled] whether this scene is disabled.
  * @property {function} [destroy] a function clean up the scene when it's controller is destroyed.
+ * @property {function(scene: GyroScene): void} [fallback] a function to call when permission to read device orientation is denied.
+ */
+
+/**
+ * @typedef {'granted'|'denied'|'unsupported'} GyroPermissionState
+ * @desc Result of requesting permission to read device orientation.
  */
 
 /**
- * @typedef {function(scene: GyroScene, progress: {x: number, y: number}, velocity: {x: number, y: number}): void} GyroEffectCallback
+ * @typedef {function(scene: GyroScene, progress: {x: number, y: number}, velocity: GyroVelocity): void} GyroEffectCallback
  * @param {GyroScene} scene
  * @param {{x: number, y: number}} progress
- * @param {{x: number, y: number}} velocity
+ * @param {GyroVelocity} velocity
+ */
+
+/**
+ * @typedef {Object} GyroVelocity
+ * @property {number} x horizontal velocity in progress units per second.
+ * @property {number} y vertical velocity in progress units per second.
+ * @property {number} angularX horizontal angular velocity in degrees per second.
+ * @property {number} angularY vertical angular velocity in degrees per second.
  */
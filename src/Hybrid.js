@@ -0,0 +1,254 @@
+import { Pointer } from './Pointer.js';
+import { Gyro } from './Gyro.js';
+
+/**
+ * @private
+ * @type {HybridConfig}
+ */
+const DEFAULTS = {
+  mode: 'auto',
+  gyroTimeout: 1000
+};
+
+/**
+ * Whether the primary input device can hover, e.g. a mouse.
+ *
+ * @private
+ * @return {boolean}
+ */
+function canHover () {
+  return Boolean(window.matchMedia?.('(hover: hover) and (pointer: fine)').matches);
+}
+
+/**
+ * Returns copies of scenes that delegate to the original scenes, without their destroy,
+ * so switching between controllers doesn't destroy the scenes.
+ *
+ * @private
+ * @param {Array<PointerScene|GyroScene>} scenes
+ * @return {Array<PointerScene|GyroScene>}
+ */
+function getSceneDelegates (scenes) {
+  return scenes.map(scene => Object.create(scene, { destroy: { value: null, writable: true } }));
+}
+
+/**
+ * @class Hybrid
+ * @desc Drives the same scenes with a Pointer on hover-capable devices and with a Gyro on mobile devices.
+ * Falls back to Pointer when gyroscope permission is denied or no orientation events arrive in time.
+ * @param {HybridConfig} config
+ *
+ * @example
+ * import { Hybrid } from 'kuliso';
+ *
+ * const hybrid = new Hybrid({
+ *     scenes: [...]
+ * });
+ *
+ * // from a user gesture, so iOS can prompt for motion permission
+ * button.addEventListener('click', () => hybrid.start(), { once: true });
+ */
+export class Hybrid {
+  constructor (config = {}) {
+    this.config = { ...DEFAULTS, ...config };
+
+    this.mode = null;
+    this.controller = null;
+    this._timeout = 0;
+
+    this._sample = (event) => {
+      if (event.gamma !== null && event.beta !== null) {
+        this._clearGyroCheck();
+      }
+    };
+  }
+
+  /**
+   * Pick the input mode and start its controller.
+   */
+  start () {
+    let mode = this.config.mode;
+
+    if (mode === 'auto') {
+      mode = canHover() || !window.DeviceOrientationEvent ? 'pointer' : 'gyro';
+    }
+
+    this.setMode(mode);
+  }
+
+  /**
+   * Stops the controller and removes event listeners.
+   */
+  pause () {
+    this._clearGyroCheck();
+    this.controller?.pause();
+  }
+
+  /**
+   * Switch to a given input mode, replacing the current controller.
+   *
+   * @param {'pointer'|'gyro'} mode
+   */
+  setMode (mode) {
+    this._removeController();
+
+    this.mode = mode;
+
+    if (mode === 'gyro') {
+      const gyro = new Gyro({ ...this.config, ...this.config.gyro, scenes: getSceneDelegates(this.config.scenes) });
+
+      this.controller = gyro;
+
+      gyro.requestPermission().then((state) => {
+        if (this.controller !== gyro) {
+          return;
+        }
+
+        if (state === 'granted') {
+          // no orientation events arrive while the permission prompt is open
+          this._startGyroCheck(gyro);
+        }
+        else {
+          this.setMode('pointer');
+        }
+      });
+
+      gyro.start();
+    }
+    else {
+      this.controller = new Pointer({ ...this.config, ...this.config.pointer, scenes: getSceneDelegates(this.config.scenes) });
+      this.controller.start();
+    }
+  }
+
+  /**
+   * Add a scene, and set it up on the current controller without affecting other scenes.
+   *
+   * @param {PointerScene|GyroScene} scene
+   */
+  addScene (scene) {
+    this.config.scenes = [...this.config.scenes, scene];
+    this.controller?.addScene(getSceneDelegates([scene])[0]);
+  }
+
+  /**
+   * Remove a scene from the current controller and destroy it, without affecting other scenes.
+   *
+   * @param {PointerScene|GyroScene} scene
+   */
+  removeScene (scene) {
+    if (!this.config.scenes.includes(scene)) {
+      return;
+    }
+
+    this.config.scenes = this.config.scenes.filter(other => other !== scene);
+    this._removeDelegate(scene);
+    scene.destroy?.();
+  }
+
+  /**
+   * Replace a scene with a new one in the same position, without affecting other scenes.
+   *
+   * @param {PointerScene|GyroScene} scene the scene to replace
+   * @param {PointerScene|GyroScene} newScene
+   */
+  updateScene (scene, newScene) {
+    const index = this.config.scenes.indexOf(scene);
+
+    if (index === -1) {
+      return;
+    }
+
+    this.config.scenes = this.config.scenes.map((other, i) => i === index ? newScene : other);
+
+    const delegate = this._getDelegate(scene);
+
+    if (delegate) {
+      this.controller.updateScene(delegate, getSceneDelegates([newScene])[0]);
+    }
+
+    scene.destroy?.();
+  }
+
+  /**
+   * Stop the controller, and remove all DOM side effects.
+   */
+  destroy () {
+    this._removeController();
+    this.mode = null;
+    this.config.scenes.forEach(scene => scene.destroy?.());
+  }
+
+  /**
+   * Fall back to Pointer if no orientation events arrive in time.
+   *
+   * @private
+   * @param {Gyro} gyro
+   */
+  _startGyroCheck (gyro) {
+    window.addEventListener('deviceorientation', this._sample, { passive: true });
+    this._timeout = setTimeout(() => {
+      if (this.controller === gyro) {
+        // no sensor events arrived
+        this.setMode('pointer');
+      }
+    }, this.config.gyroTimeout);
+  }
+
+  /**
+   * Stop checking for orientation events.
+   *
+   * @private
+   */
+  _clearGyroCheck () {
+    clearTimeout(this._timeout);
+    this._timeout = 0;
+    window.removeEventListener('deviceorientation', this._sample);
+  }
+
+  /**
+   * Returns the current controller's delegate of a scene.
+   *
+   * @private
+   * @param {PointerScene|GyroScene} scene
+   * @return {PointerScene|GyroScene|undefined}
+   */
+  _getDelegate (scene) {
+    return this.controller?.config.scenes.find(delegate => Object.getPrototypeOf(delegate) === scene);
+  }
+
+  /**
+   * Remove a scene's delegate from the current controller.
+   *
+   * @private
+   * @param {PointerScene|GyroScene} scene
+   */
+  _removeDelegate (scene) {
+    const delegate = this._getDelegate(scene);
+
+    if (delegate) {
+      this.controller.removeScene(delegate);
+    }
+  }
+
+  /**
+   * Destroy current controller, without destroying the scenes.
+   *
+   * @private
+   */
+  _removeController () {
+    this._clearGyroCheck();
+    this.controller?.destroy();
+    this.controller = null;
+  }
+}
+
+/**
+ * @typedef {object} HybridConfig
+ * @desc Accepts all options of PointerConfig and GyroConfig, which are passed to both controllers.
+ * @property {Array<PointerScene|GyroScene>} scenes list of effect scenes to perform with either controller.
+ * @property {'auto'|'pointer'|'gyro'} [mode] input mode to use. Defaults to 'auto', which picks Pointer on hover-capable devices and Gyro otherwise.
+ * @property {number} [gyroTimeout] time in milliseconds to wait for orientation events, once permission is granted, before falling back to Pointer. Defaults to 1000.
+ * @property {PointerConfig} [pointer] options passed only to the Pointer controller.
+ * @property {GyroConfig} [gyro] options passed only to the Gyro controller.
+ */
@@ -1,14 +1,45 @@
 import { getController } from './controller.js';
-import { frameThrottle, testPointerOffsetDprBug, testScrollOffsetsForWebKitPointerBug } from './utilities.js';
+import { Emitter } from './emitter.js';
+import { getTrigger, startTransition, startSpring } from './transition.js';
+import { PointerSource } from './sources.js';
 
-const MOVEMENT_RESET_DELAY = 1e3 / 60 * 3; // == 50 (3 frames in 60fps)
-let shouldFixSynthPointer;
+const SPRING_PRECISION = 0.01; // in pixels
 
-function scrollHandler () {
-  scrollOffsets.x = window.scrollX;
-  scrollOffsets.y = window.scrollY;
+/**
+ * Returns the centroid, spread and rotation of a list of active pointers.
+ *
+ * @private
+ * @param {Array<{id: number, x: number, y: number}>} pointers
+ * @returns {{pointers: Array<{id: number, x: number, y: number}>, centroid: {x: number, y: number}, spread: number, rotation: number}}
+ */
+function getTouchState (pointers) {
+  const count = pointers.length;
+  const centroid = { x: 0, y: 0 };
+  let spread = 0;
+  let rotation = 0;
+
+  if (count) {
+    pointers.forEach(({ x, y }) => {
+      centroid.x += x / count;
+      centroid.y += y / count;
+    });
+
+    if (count > 1) {
+      // average distance from centroid, doubled, so that for 2 pointers it's the distance between them
+      spread = pointers.reduce((acc, { x, y }) => acc + Math.hypot(x - centroid.x, y - centroid.y), 0) / count * 2;
+
+      const [first, second] = pointers;
+      rotation = Math.atan2(second.y - first.y, second.x - first.x) * 180 / Math.PI;
+    }
+  }
+
+  return {
+    pointers,
+    centroid,
+    spread,
+    rotation
+  };
 }
-const scrollOffsets = { x: 0, y: 0, scrollHandler, fixRequired: undefined };
 
 /**
  * @class Pointer
@@ -23,8 +54,10 @@ const scrollOffsets = { x: 0, y: 0, scrollHandler, fixRequired: undefined };
  *
  * pointer.start();
  */
-export class Pointer {
+export class Pointer extends Emitter {
   constructor (config = {}) {
+    super();
+
     this.config = { ...config };
 
     this.effect = null;
@@ -32,48 +65,63 @@ export class Pointer {
     this._nextTransitionTick = null;
     this._startTime = 0;
 
-    let trigger;
+    const trigger = getTrigger(this);
 
-    if (this.config.transitionDuration) {
-      trigger = this.config.noThrottle
-        ? () => this.transition()
-        : frameThrottle(() => this.transition());
+    this.source = this.config.source || new PointerSource(this.config);
+
+    if (this.source.rect) {
+      // input source sets its own size
+      this.config.rect = { ...this.source.rect };
     }
     else {
-      trigger = this.config.noThrottle
-        ? () => {
-          this.tick();
-          return null;
+      // in no root then use the viewport's size
+      this.config.rect = this.config.root
+        ? {
+          width: this.config.root.offsetWidth,
+          height: this.config.root.offsetHeight
         }
-        : frameThrottle(() => {
-          this.tick();
-        });
+        : {
+          width: window.document.documentElement.clientWidth,
+          height: window.document.documentElement.clientHeight
+        };
     }
 
-    // in no root then use the viewport's size
-    this.config.rect = this.config.root
-      ? {
-        width: this.config.root.offsetWidth,
-        height: this.config.root.offsetHeight
+    this.resetInput();
+
+    this._measure = (event) => {
+      let newX = event.x;
+      let newY = event.y;
+
+      if (this.config.multiTouch) {
+        const count = this.pointers.size;
+
+        this.pointers.set(event.pointerId, { id: event.pointerId, x: newX, y: newY });
+
+        const touchState = getTouchState([...this.pointers.values()]);
+
+        newX = touchState.centroid.x;
+        newY = touchState.centroid.y;
+
+        delete touchState.centroid;
+        Object.assign(this.progress, touchState);
+
+        if (count !== this.pointers.size) {
+          // centroid jumps when a pointer is added, so don't treat it as movement
+          jump(newX, newY);
+        }
       }
-      : {
-        width: window.document.documentElement.clientWidth,
-        height: window.document.documentElement.clientHeight
-      };
 
+      if (this.config.drag) {
+        if (event.type === 'pointerdown') {
+          press(event, newX, newY);
+        }
 
-    this.progress = {
-      x: this.config.rect.width / 2,
-      y: this.config.rect.height / 2,
-      vx: 0,
-      vy: 0
-    };
-    this.previousProgress = { ...this.progress };
-    this.currentProgress = null;
+        if (this.progress.pressed) {
+          this.progress.dragX = newX - this._dragOrigin.x;
+          this.progress.dragY = newY - this._dragOrigin.y;
+        }
+      }
 
-    const _measure = (event) => {
-      const newX = this.config.root ? event.offsetX : event.x;
-      const newY = this.config.root ? event.offsetY : event.y;
       this.progress.vx = newX - this.progress.x;
       this.progress.vy = newY - this.progress.y;
       this.progress.x = newX;
@@ -81,6 +129,84 @@ export class Pointer {
       this._nextTick = trigger();
     };
 
+    /*
+     * Move progress to a new position without counting it as movement.
+     */
+    const jump = (x, y) => {
+      if (this.config.drag && this.progress.pressed) {
+        // keep the drag continuous
+        this._dragOrigin.x += x - this.progress.x;
+        this._dragOrigin.y += y - this.progress.y;
+      }
+
+      this.progress.x = x;
+      this.progress.y = y;
+    };
+
+    const press = (event, x, y) => {
+      if (!this.pressedPointers.size) {
+        this._dragOrigin.x = x;
+        this._dragOrigin.y = y;
+        this.progress.pressed = true;
+        this.progress.button = event.button;
+        this.progress.dragX = 0;
+        this.progress.dragY = 0;
+      }
+
+      this.pressedPointers.add(event.pointerId);
+
+      if (this.config.pointerCapture && this.config.root) {
+        this.config.root.setPointerCapture(event.pointerId);
+      }
+    };
+
+    const release = (event) => {
+      if (!this.pressedPointers.delete(event.pointerId)) {
+        return false;
+      }
+
+      if (this.config.pointerCapture && this.config.root?.hasPointerCapture(event.pointerId)) {
+        this.config.root.releasePointerCapture(event.pointerId);
+      }
+
+      if (!this.pressedPointers.size) {
+        this.progress.offsetX += this.progress.dragX;
+        this.progress.offsetY += this.progress.dragY;
+        this.progress.pressed = false;
+        this.progress.button = -1;
+        this.progress.dragX = 0;
+        this.progress.dragY = 0;
+      }
+
+      return true;
+    };
+
+    this._pointerUp = (event) => {
+      let changed = this.config.drag ? release(event) : false;
+
+      // mouse keeps hovering after button is released
+      const isHovering = event.type === 'pointerup' && event.pointerType === 'mouse';
+
+      if (this.config.multiTouch && !isHovering && this.pointers.delete(event.pointerId)) {
+        const touchState = getTouchState([...this.pointers.values()]);
+
+        if (this.pointers.size) {
+          jump(touchState.centroid.x, touchState.centroid.y);
+        }
+
+        delete touchState.centroid;
+        Object.assign(this.progress, touchState);
+
+        changed = true;
+      }
+
+      if (changed) {
+        this.progress.vx = 0;
+        this.progress.vy = 0;
+        this._nextTick = trigger();
+      }
+    };
+
     this._pointerLeave = () => {
         this.progress.active = false;
         this.progress.vx = 0;
@@ -93,33 +219,36 @@ export class Pointer {
       this._nextTick = trigger();
     };
 
-    if (this.config.root) {
-      shouldFixSynthPointer = typeof shouldFixSynthPointer === 'boolean' ? shouldFixSynthPointer : testPointerOffsetDprBug();
-      const DPR = shouldFixSynthPointer ? window.devicePixelRatio : 1;
+    /*
+     * Handle input of the source, in pixels of root unless the source is normalized.
+     */
+    this._input = (input) => {
+      const pressable = this.config.multiTouch || this.config.drag;
 
-      if (typeof scrollOffsets.fixRequired === 'undefined') {
-        testScrollOffsetsForWebKitPointerBug(scrollOffsets);
+      if (this.source.normalized && input.x !== undefined) {
+        input = { ...input, x: input.x * this.config.rect.width, y: input.y * this.config.rect.height };
       }
 
-      this._measure = (e) => {
-        if (e.target !== this.config.root) {
-          const event = new PointerEvent('pointermove', {
-            bubbles: true,
-            cancelable: true,
-            clientX: e.x * DPR + scrollOffsets.x,
-            clientY: e.y * DPR + scrollOffsets.y,
-          });
-
-          e.stopPropagation();
+      if (input.active !== undefined) {
+        this.progress.active = input.active;
+      }
 
-          this.config.root.dispatchEvent(event);
-        } else {
-          _measure(e);
-        }
+      switch (input.type) {
+        case 'pointerup':
+        case 'pointercancel':
+          pressable && this._pointerUp(input);
+          break;
+        case 'pointerleave':
+          pressable && this._pointerUp(input);
+          this.config.allowActiveEvent && this._pointerLeave();
+          break;
+        case 'pointerenter':
+          this.config.allowActiveEvent && this._pointerEnter();
+          break;
+        default:
+          this._measure(input);
       }
-    } else {
-      this._measure = _measure;
-    }
+    };
   }
 
   /**
@@ -128,6 +257,46 @@ export class Pointer {
   start () {
     this.setupEffect();
     this.setupEvent();
+    this.emit('start');
+  }
+
+  /**
+   * Reset input state to its initial values: progress, active pointers and drag, and any running transition or spring.
+   * Effects are updated on next input.
+   */
+  resetInput () {
+    this._nextTransitionTick && cancelAnimationFrame(this._nextTransitionTick);
+    this._nextTransitionTick = null;
+    this._startTime = 0;
+    this._springState = null;
+
+    this.progress = {
+      x: this.config.rect.width / 2,
+      y: this.config.rect.height / 2,
+      vx: 0,
+      vy: 0
+    };
+
+    if (this.config.multiTouch) {
+      this.pointers = new Map();
+      Object.assign(this.progress, getTouchState([]));
+    }
+
+    if (this.config.drag) {
+      this.pressedPointers = new Set();
+      this._dragOrigin = { x: 0, y: 0 };
+      Object.assign(this.progress, {
+        pressed: false,
+        button: -1,
+        dragX: 0,
+        dragY: 0,
+        offsetX: 0,
+        offsetY: 0
+      });
+    }
+
+    this.previousProgress = { ...this.progress };
+    this.currentProgress = null;
   }
 
   /**
@@ -135,6 +304,7 @@ export class Pointer {
    */
   pause () {
     this.removeEvent();
+    this.emit('pause');
   }
 
   /**
@@ -150,53 +320,71 @@ export class Pointer {
    * @returns {number} the requestAnimationFrame id for the transition tick.
    */
   transition () {
-    const duration = this.config.transitionDuration;
-    const easing = this.config.transitionEasing || ((p) => p);
-    const now = performance.now();
-    let resetMovement = false;
-
-    const tick = (time) => {
-      const p = (time - this._startTime) / duration;
-      const t = easing(Math.min(1, p));
+    return startTransition(this);
+  }
 
-      if (resetMovement) {
-        this.progress.vx = 0;
-        this.progress.vy = 0;
-        resetMovement = false;
-      }
+  /**
+   * Starts, or keeps running, a spring simulation from the current progress towards the progress.
+   * New input only moves the spring's target, so momentum is kept.
+   *
+   * @returns {number} the requestAnimationFrame id for the spring tick.
+   */
+  spring () {
+    return startSpring(this, SPRING_PRECISION);
+  }
 
-      this.currentProgress = Object.entries(this.progress).reduce((acc, [key, value]) => {
-        if (key === 'active') {
-          acc[key] = value;
-        } else {
-          acc[key] = this.previousProgress[key] + (value - this.previousProgress[key]) * t;
-        }
-        return acc;
-      }, this.currentProgress || {});
+  /**
+   * Re-measure positions and sizes of scenes' targets and range elements.
+   * Layout changes are observed automatically, this is for changes that can't be observed.
+   * Effects are updated with latest progress, once there was input.
+   */
+  refresh () {
+    this.effect && this.effect.refresh();
+  }
 
-      if (p < 1) {
-        this._nextTransitionTick = requestAnimationFrame(tick);
+  /**
+   * Add a scene, and set it up on the running effect without affecting other scenes.
+   *
+   * @param {PointerScene} scene
+   */
+  addScene (scene) {
+    this.config.scenes = [...this.config.scenes, scene];
+    this.effect && this.effect.addScene(scene);
+  }
 
-        // reset movement on next frame
-        resetMovement = time - this._startTime > MOVEMENT_RESET_DELAY;
-      }
+  /**
+   * Remove a scene, and destroy it on the running effect without affecting other scenes.
+   *
+   * @param {PointerScene} scene
+   */
+  removeScene (scene) {
+    if (!this.config.scenes.includes(scene)) {
+      return;
+    }
 
-      this.effect.tick(this.currentProgress);
-    };
+    this.config.scenes = this.config.scenes.filter(other => other !== scene);
+    this.effect && this.effect.removeScene(scene);
+  }
 
-    if (this._startTime) {
-      this._nextTransitionTick && cancelAnimationFrame(this._nextTransitionTick);
+  /**
+   * Replace a scene with a new one in the same position, without affecting other scenes.
+   *
+   * @param {PointerScene} scene the scene to replace
+   * @param {PointerScene} newScene
+   */
+  updateScene (scene, newScene) {
+    const index = this.config.scenes.indexOf(scene);
 
-      Object.assign(this.previousProgress, this.currentProgress);
+    if (index === -1) {
+      return;
+    }
 
-      this._startTime = now;
+    this.config.scenes = this.config.scenes.map((other, i) => i === index ? newScene : other);
 
-      tick(now);
-    } else {
-      this._startTime = now;
+    if (this.effect) {
+      this.effect.removeScene(scene);
+      this.effect.addScene(newScene);
     }
-
-    return this._nextTransitionTick;
   }
 
   /**
@@ -207,51 +395,23 @@ export class Pointer {
     this.removeEffect();
     this._nextTick && cancelAnimationFrame(this._nextTick);
     this._nextTransitionTick && cancelAnimationFrame(this._nextTransitionTick);
+    this._nextTransitionTick = null;
+    this.emit('destroy');
   }
 
   /**
-   * Register to pointermove for triggering update.
+   * Connect to the input source for triggering update.
    */
   setupEvent () {
     this.removeEvent();
-    const element = this.config.root || window;
-    element.addEventListener('pointermove', this._measure, {passive: true});
-
-    if (this.config.eventSource) {
-      this.config.eventSource.addEventListener('pointermove', this._measure, {passive: true});
-    }
-
-    if (this.config.allowActiveEvent) {
-      element.addEventListener('pointerleave', this._pointerLeave, {passive: true});
-      element.addEventListener('pointerenter', this._pointerEnter, {passive: true});
-
-      if (this.config.eventSource) {
-        this.config.eventSource.addEventListener('pointerleave', this._pointerLeave, {passive: true});
-        this.config.eventSource.addEventListener('pointerenter', this._pointerEnter, {passive: true});
-      }
-    }
+    this.source.connect(this._input);
   }
 
   /**
-   * Remove pointermove handler.
+   * Disconnect from the input source.
    */
   removeEvent () {
-    const element = this.config.root || window;
-    element.removeEventListener('pointermove', this._measure);
-
-    if (this.config.eventSource) {
-      this.config.eventSource.removeEventListener('pointermove', this._measure);
-    }
-
-    if (this.config.allowActiveEvent) {
-      element.removeEventListener('pointerleave', this._pointerLeave);
-      element.removeEventListener('pointerenter', this._pointerEnter);
-
-      if (this.config.eventSource) {
-        this.config.eventSource.removeEventListener('pointerleave', this._pointerLeave);
-        this.config.eventSource.removeEventListener('pointerenter', this._pointerEnter);
-      }
-    }
+    this.source.disconnect(this._input);
   }
 
   /**
@@ -259,7 +419,7 @@ export class Pointer {
    */
   setupEffect () {
     this.removeEffect();
-    this.effect = getController(this.config);
+    this.effect = getController(this.config, (type, detail) => this.emit(type, detail));
   }
 
   /**
@@ -279,8 +439,22 @@ export class Pointer {
  * @property {boolean} [noThrottle] whether to disable throttling the effect by framerate.
  * @property {number} [transitionDuration] duration of transition effect in milliseconds.
  * @property {function} [transitionEasing] easing function for transition effect.
+ * @property {boolean|SpringConfig} [spring] whether to follow the pointer with a spring simulation instead of a timed transition.
  * @property {boolean} [allowActiveEvent] whether to track timeline activation events.
  * @property {HTMLElement} [eventSource] an alternative source element to attach event handlers and retarget to root.
+ * @property {boolean} [skipOffscreen] whether to skip effects of scenes whose target is outside the viewport.
+ * @property {boolean} [multiTouch] whether to track each active pointer separately. Progress then follows the centroid of all active pointers.
+ * @property {boolean} [drag] whether to track press state and drag offsets from pointerdown/pointerup/pointercancel events.
+ * @property {boolean} [pointerCapture] whether to capture the pressed pointer on root, so dragging continues outside of it. Requires drag and root.
+ * @property {InputSource} [source] an input source that drives the controller instead of the default source of pointer events.
+ */
+
+/**
+ * @typedef {object} SpringConfig
+ * @property {number} [stiffness] spring stiffness. Defaults to 170.
+ * @property {number} [damping] friction of the spring. Defaults to 26.
+ * @property {number} [mass] mass of the moving object. Defaults to 1.
+ * @property {number} [precision] distance and velocity below which the spring is considered settled. Defaults to 0.01 for Pointer and 0.0001 for Gyro.
  */
 
 /**
@@ -289,14 +463,48 @@ export class Pointer {
  * @example { effects: (scene, p) => { animation.currentTime = p.x; } }
  * @property {PointerEffectCallback} effect the effect to perform.
  * @property {boolean} [centeredToTarget] whether this scene's progress is centered on the target's center.
+ * @property {SceneCurve|{x: SceneCurve, y: SceneCurve}} [curve] mapping of the scene's progress, on both axes or per axis.
+ * @property {{x: SceneRange, y: SceneRange}} [range] where progress 0 and 1 fall on each axis. Overrides centeredToTarget. Omitted axes use the entire root.
  * @property {HTMLElement} [target] target element for the effect.
+ * @property {number} [proximity] radius in pixels around the target within which this scene reacts. Progress then maps the target, extended by the radius, to [0, 1]. Requires target.
+ * @property {function(scene: PointerScene): void} [enter] a function to call when the pointer enters the proximity radius.
+ * @property {function(scene: PointerScene): void} [leave] a function to call when the pointer leaves the proximity radius, after the effect is called with proximity 0.
+ * @property {boolean} [polar] whether to add angle, distance and radius of the pointer relative to the target's center to this scene's progress. Requires target.
  * @property {boolean} [disabled] whether this scene is disabled.
  * @property {function} [destroy] a function clean up the scene when it's controller is destroyed.
  */
 
 /**
- * @typedef {function(scene: PointerScene, progress: {x: number, y: number}, velocity: {x: number, y: number}): void} PointerEffectCallback
+ * @typedef {function(scene: PointerScene, progress: PointerProgress, velocity: {x: number, y: number}): void} PointerEffectCallback
  * @param {PointerScene} scene
- * @param {{x: number, y: number}} progress
+ * @param {PointerProgress} progress
  * @param {{x: number, y: number}} velocity
  */
+
+/**
+ * @typedef {Object} SceneRange
+ * @desc Start and end offsets of a scene's range on one axis.
+ * Each is either a number of pixels from root's start, a percentage string of root's size, e.g. '25%',
+ * or an element's edge, e.g. `{element, edge: 'center'}`, where edge is one of 'start', 'center', or 'end'.
+ * @example { x: { start: '25%', end: '75%' }, y: { start: { element: header, edge: 'end' }, end: { element: footer } } }
+ * @property {number|string|{element: HTMLElement, edge: string}} [start] offset where progress is 0. Defaults to 0.
+ * @property {number|string|{element: HTMLElement, edge: string}} [end] offset where progress is 1. Defaults to '100%'.
+ */
+
+/**
+ * @typedef {Object} PointerProgress
+ * @desc Progress of the pointer in the scene, normalized to [0, 1].
+ * @property {number} x horizontal progress. With multiTouch it's the progress of the centroid of all active pointers.
+ * @property {number} y vertical progress. With multiTouch it's the progress of the centroid of all active pointers.
+ * @property {Array<{id: number, x: number, y: number}>} [pointers] normalized progress of each active pointer, with multiTouch.
+ * @property {number} [spread] distance in pixels between the active pointers (pinch distance), with multiTouch.
+ * @property {number} [rotation] angle in degrees of the line between the first two active pointers, with multiTouch.
+ * @property {number} [angle] angle in degrees, clockwise from the positive x axis, of the pointer around the target's center, with polar.
+ * @property {number} [distance] distance in pixels of the pointer from the target's center, with polar.
+ * @property {number} [radius] distance of the pointer from the target's center, relative to the distance to root's farthest corner, with polar.
+ * @property {number} [proximity] closeness of the pointer to the target, from 0 at the proximity radius to 1 on the target, with proximity.
+ * @property {boolean} [pressed] whether a pointer is pressed, with drag.
+ * @property {number} [button] the button pressed on pointerdown, or -1 if not pressed, with drag.
+ * @property {{x: number, y: number}} [drag] pointer movement since it was pressed, relative to root's size, with drag.
+ * @property {{x: number, y: number}} [offset] cumulative movement of all drags, relative to root's size, with drag.
+ */
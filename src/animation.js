@@ -0,0 +1,113 @@
+const END_OFFSET = 1e-3; // keeps the last frame in the active phase, in milliseconds
+
+/**
+ * Returns a paused Animation for an Animation or a KeyframeEffect, and a function that restores its original state.
+ *
+ * @private
+ * @param {Animation|KeyframeEffect} source
+ * @param {boolean} [additive] whether to composite the effect on top of other animations.
+ * @return {{animation: Animation, restore: function}}
+ */
+function bindAnimation (source, additive) {
+  const created = !(source instanceof Animation);
+  const animation = created ? new Animation(source, document.timeline) : source;
+  const effect = animation.effect;
+  const composite = effect.composite;
+  const playState = animation.playState;
+  const currentTime = animation.currentTime;
+
+  animation.pause();
+
+  if (additive) {
+    effect.composite = 'add';
+  }
+
+  return {
+    animation,
+    restore () {
+      if (additive) {
+        effect.composite = composite;
+      }
+
+      if (created || playState === 'idle') {
+        animation.cancel();
+        return;
+      }
+
+      animation.currentTime = currentTime;
+
+      if (playState === 'running') {
+        animation.play();
+      }
+    }
+  };
+}
+
+/**
+ * Set an animation's current time by progress of its effect's active duration,
+ * or of a single iteration if it repeats infinitely.
+ *
+ * @private
+ * @param {Animation} animation
+ * @param {number} p progress between 0 and 1
+ */
+function seek (animation, p) {
+  const { delay, duration, activeDuration } = animation.effect.getComputedTiming();
+  const length = Number.isFinite(activeDuration) ? activeDuration : duration;
+
+  animation.currentTime = delay + Math.max(0, Math.min(p * length, length - END_OFFSET));
+}
+
+/**
+ * Returns a scene that drives Web Animations by progress, one per axis.
+ * The animations are paused from the scene's first update, and restored to their original state on destroy.
+ * Any other scene options, like target or curve, are passed through.
+ *
+ * @param {AnimationSceneConfig} config
+ * @return {PointerScene|GyroScene}
+ *
+ * @example
+ * import { Pointer, getAnimationScene } from 'kuliso';
+ *
+ * const pointer = new Pointer({
+ *   scenes: [
+ *     getAnimationScene({
+ *       x: element.animate({ transform: ['translateX(-20px)', 'translateX(20px)'] }, 1000),
+ *       y: element.animate({ transform: ['translateY(-20px)', 'translateY(20px)'] }, 1000),
+ *       blend: true
+ *     })
+ *   ]
+ * });
+ */
+export function getAnimationScene ({ x, y, blend, ...scene }) {
+  const destroy = scene.destroy;
+  let bound = null;
+
+  return {
+    ...scene,
+    effect (_scene, progress) {
+      // bind on first run, so a destroyed scene can be added again
+      bound = bound || {
+        x: x ? bindAnimation(x, false) : null,
+        y: y ? bindAnimation(y, Boolean(blend && x)) : null
+      };
+
+      bound.x && seek(bound.x.animation, progress.x);
+      bound.y && seek(bound.y.animation, progress.y);
+    },
+    destroy () {
+      bound?.x?.restore();
+      bound?.y?.restore();
+      bound = null;
+      destroy?.call(this);
+    }
+  };
+}
+
+/**
+ * @typedef {object} AnimationSceneConfig
+ * @desc Accepts all options of PointerScene or GyroScene, except effect.
+ * @property {Animation|KeyframeEffect} [x] animation driven by horizontal progress.
+ * @property {Animation|KeyframeEffect} [y] animation driven by vertical progress.
+ * @property {boolean} [blend] whether to composite the y animation on top of the x animation, so both can animate the same properties, e.g. transform.
+ */
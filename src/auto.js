@@ -0,0 +1,207 @@
+import { Pointer } from './Pointer.js';
+import { Gyro } from './Gyro.js';
+import { getCSSVarsScene } from './cssVars.js';
+
+const ROOT_ATTRIBUTE = 'data-kuliso-root';
+const SCENE_ATTRIBUTE = 'data-kuliso-scene';
+const ROOT_SELECTOR = `[${ROOT_ATTRIBUTE}]`;
+const SCENE_SELECTOR = `[${SCENE_ATTRIBUTE}]`;
+
+/**
+ * Returns a number attribute's value, or undefined if it's missing or invalid.
+ *
+ * @private
+ * @param {HTMLElement} element
+ * @param {string} name
+ * @return {number|undefined}
+ */
+function getNumber (element, name) {
+  const value = parseFloat(element.getAttribute(name));
+
+  return isNaN(value) ? undefined : value;
+}
+
+/**
+ * Returns a controller for a root element, or for the entire viewport when root is null.
+ *
+ * @private
+ * @param {HTMLElement|null} root
+ * @return {Pointer|Gyro}
+ */
+function createController (root) {
+  const config = { scenes: [] };
+
+  if (root) {
+    const transitionDuration = getNumber(root, 'data-kuliso-transition');
+
+    if (transitionDuration) {
+      config.transitionDuration = transitionDuration;
+    }
+
+    if (root.hasAttribute('data-kuliso-spring')) {
+      config.spring = true;
+    }
+
+    if (root.getAttribute(ROOT_ATTRIBUTE) === 'gyro') {
+      return new Gyro(config);
+    }
+
+    config.root = root;
+  }
+
+  return new Pointer(config);
+}
+
+/**
+ * Returns a CSS custom properties scene from a scene element's attributes.
+ *
+ * @private
+ * @param {HTMLElement} element
+ * @return {PointerScene}
+ */
+function createScene (element) {
+  const name = element.getAttribute(SCENE_ATTRIBUTE);
+  const config = {
+    target: element,
+    element
+  };
+
+  if (name) {
+    config.properties = {
+      x: `--${name}-x`,
+      y: `--${name}-y`,
+      vx: `--${name}-vx`,
+      vy: `--${name}-vy`,
+      active: `--${name}-active`
+    };
+  }
+
+  if (element.hasAttribute('data-kuliso-centered')) {
+    config.centeredToTarget = true;
+  }
+
+  const proximity = getNumber(element, 'data-kuliso-proximity');
+
+  if (proximity) {
+    config.proximity = proximity;
+  }
+
+  if (element.hasAttribute('data-kuliso-curve')) {
+    config.curve = element.getAttribute('data-kuliso-curve');
+  }
+
+  return getCSSVarsScene(config);
+}
+
+/**
+ * Returns all elements matching a selector in a node, including the node itself.
+ *
+ * @private
+ * @param {Node} node
+ * @param {string} selector
+ * @return {HTMLElement[]}
+ */
+function findAll (node, selector) {
+  if (node.nodeType !== 1) {
+    return [];
+  }
+
+  const elements = [...node.querySelectorAll(selector)];
+
+  return node.matches(selector) ? [node, ...elements] : elements;
+}
+
+/**
+ * Scan a container for elements with data-kuliso attributes, and drive them with Pointer or Gyro controllers
+ * that write their progress to CSS custom properties.
+ * Elements that are added or removed later are set up and torn down automatically.
+ *
+ * Scene elements use the controller of their closest `data-kuliso-root` element, or a Pointer on the entire viewport.
+ *
+ * @param {AutoInitConfig} [config]
+ * @return {{instances: Map<HTMLElement|null, Pointer|Gyro>, destroy: function}}
+ *
+ * @example
+ * <div data-kuliso-root data-kuliso-transition="200">
+ *   <div class="card" data-kuliso-scene="tilt" data-kuliso-centered></div>
+ * </div>
+ *
+ * <script type="module">
+ *   import { autoInit } from 'kuliso/auto.js';
+ *   autoInit();
+ * </script>
+ */
+export function autoInit ({ container = document.documentElement } = {}) {
+  const instances = new Map();
+  const scenes = new Map();
+
+  function addElement (element) {
+    if (scenes.has(element)) {
+      return;
+    }
+
+    const root = element.closest(ROOT_SELECTOR);
+    let controller = instances.get(root);
+
+    if (!controller) {
+      controller = createController(root);
+      instances.set(root, controller);
+      controller.start();
+    }
+
+    const scene = createScene(element);
+
+    scenes.set(element, { root, scene });
+    controller.addScene(scene);
+  }
+
+  function removeElement (element) {
+    const { root, scene } = scenes.get(element);
+    const controller = instances.get(root);
+
+    scenes.delete(element);
+    controller.removeScene(scene);
+
+    if (!controller.config.scenes.length) {
+      controller.destroy();
+      instances.delete(root);
+    }
+  }
+
+  const observer = new MutationObserver((mutations) => {
+    // tear down scenes that were removed or moved to another root
+    scenes.forEach(({ root }, element) => {
+      if (!container.contains(element) || element.closest(ROOT_SELECTOR) !== root) {
+        removeElement(element);
+      }
+    });
+
+    mutations.forEach((mutation) => {
+      mutation.addedNodes.forEach((node) => {
+        findAll(node, SCENE_SELECTOR).forEach((element) => {
+          if (container.contains(element)) {
+            addElement(element);
+          }
+        });
+      });
+    });
+  });
+
+  findAll(container, SCENE_SELECTOR).forEach(addElement);
+  observer.observe(container, { childList: true, subtree: true });
+
+  return {
+    instances,
+    destroy () {
+      observer.disconnect();
+      instances.forEach(controller => controller.destroy());
+      instances.clear();
+      scenes.clear();
+    }
+  };
+}
+
+/**
+ * @typedef {object} AutoInitConfig
+ * @property {HTMLElement} [container] element to scan and observe for data-kuliso attributes. Defaults to the document's root element.
+ */
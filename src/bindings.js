@@ -0,0 +1,136 @@
+import { Pointer } from './Pointer.js';
+
+/**
+ * Returns a controller config for framework bindings.
+ *
+ * @private
+ * @param {typeof Pointer|typeof Gyro} Controller
+ * @param {HTMLElement} [root] root element for a Pointer. Defaults to the viewport.
+ * @param {BindingOptions} [options]
+ * @param {function(progress: Object)} [onProgress] called with progress of each update, when options.trackProgress is set.
+ * @return {PointerConfig|GyroConfig}
+ */
+export function getBindingConfig (Controller, root, options = {}, onProgress) {
+  const { trackProgress, ...config } = options;
+
+  config.scenes = [];
+
+  if (root && Controller === Pointer) {
+    config.root = root;
+  }
+
+  if (trackProgress) {
+    config.scenes.push({
+      effect (scene, progress) {
+        onProgress(progress);
+      }
+    });
+  }
+
+  return config;
+}
+
+/**
+ * Update a running controller from a previous list of scenes to a new one,
+ * removing and adding only the scenes that changed.
+ *
+ * @private
+ * @param {Pointer|Gyro} controller
+ * @param {Array<PointerScene|GyroScene>} previous
+ * @param {Array<PointerScene|GyroScene>} next
+ * @return {Array<PointerScene|GyroScene>} the new list of scenes
+ */
+export function syncScenes (controller, previous, next = []) {
+  previous.forEach((scene) => {
+    if (!next.includes(scene)) {
+      controller.removeScene(scene);
+    }
+  });
+
+  next.forEach((scene) => {
+    if (!previous.includes(scene)) {
+      controller.addScene(scene);
+    }
+  });
+
+  return [...next];
+}
+
+/**
+ * Returns a copy of options whose functions call the latest options' functions,
+ * so inline functions can change without restarting the controller.
+ *
+ * @private
+ * @param {BindingOptions} [options]
+ * @param {function(): BindingOptions} getLatest
+ * @return {BindingOptions}
+ */
+export function bindLatestFunctions (options = {}, getLatest) {
+  return Object.fromEntries(Object.entries(options).map(([key, value]) => {
+    if (typeof value !== 'function') {
+      return [key, value];
+    }
+
+    return [key, (...args) => (getLatest()?.[key] || value)(...args)];
+  }));
+}
+
+/**
+ * Whether two options objects would configure a controller the same way.
+ * Plain objects and arrays are compared by value. Functions are equal to any function,
+ * since they're read through bindLatestFunctions().
+ *
+ * @private
+ * @param {Object} [a]
+ * @param {Object} [b]
+ * @return {boolean}
+ */
+export function optionsEqual (a = {}, b = {}) {
+  const keys = Object.keys(a);
+
+  return keys.length === Object.keys(b).length && keys.every((key) => {
+    const value = a[key];
+    const other = b[key];
+
+    return (typeof value === 'function' && typeof other === 'function') || deepEqual(value, other);
+  });
+}
+
+/**
+ * Whether two values are equal, comparing plain objects and arrays by value.
+ *
+ * @private
+ * @param {*} a
+ * @param {*} b
+ * @return {boolean}
+ */
+function deepEqual (a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (!isPlain(a) || !isPlain(b) || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  const keys = Object.keys(a);
+
+  return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Whether a value is a plain object or an array, as opposed to e.g. an element or an input source.
+ *
+ * @private
+ * @param {*} value
+ * @return {boolean}
+ */
+function isPlain (value) {
+  return Array.isArray(value) || (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+}
+
+/**
+ * @typedef {object} BindingOptions
+ * @desc Accepts all options of PointerConfig or GyroConfig, except scenes and root.
+ * @property {boolean} [trackProgress] whether to expose progress as reactive state. Re-renders on every update.
+ */
@@ -1,5 +1,6 @@
-import { getRect, clamp } from './utilities.js';
+import { getRect, getScrollContainers, clamp, frameThrottle } from './utilities.js';
 import { addScrollendListener } from './scrollend.js';
+import { getSceneCurves } from './easing.js';
 
 /**
  * Return new progress for {x, y} for the farthest-side formula ("cover").
@@ -40,6 +41,186 @@ function centerToTargetFactory (target, root, scrollPosition) {
   };
 }
 
+const AXES = {
+  x: { position: 'left', size: 'width' },
+  y: { position: 'top', size: 'height' }
+};
+
+const EDGES = {
+  start: 0,
+  center: 0.5,
+  end: 1
+};
+
+/**
+ * Return a function that resolves a range offset, on a given axis, to pixels relative to root.
+ *
+ * @param {number|string|{element: HTMLElement, edge: ('start'|'center'|'end')}} value offset in pixels, percentage of root, or element's edge
+ * @param {'x'|'y'} axis
+ * @param {'start'|'end'} defaultEdge edge to use if value is an element without an edge
+ * @param {PointerConfig} config
+ * @param {{x: number, y: number}} scrollPosition
+ * @param {function(element: HTMLElement): {left: number, top: number, width: number, height: number}} trackRect
+ * @returns {function(): number}
+ */
+function getRangeOffset (value, axis, defaultEdge, config, scrollPosition, trackRect) {
+  const { position, size } = AXES[axis];
+
+  if (typeof value === 'string' && value.endsWith('%')) {
+    const percent = parseFloat(value) / 100;
+
+    return () => config.rect[size] * percent;
+  }
+
+  if (value && typeof value === 'object') {
+    const rect = trackRect(value.element);
+    const edge = EDGES[value.edge || defaultEdge];
+    const rootRect = config.root ? trackRect(config.root) : null;
+
+    return config.root
+      ? () => rect[position] + rect[size] * edge - rootRect[position]
+      : () => rect[position] + rect[size] * edge - scrollPosition[axis];
+  }
+
+  const pixels = parseFloat(value);
+
+  return () => pixels;
+}
+
+/**
+ * Return new progress for {x, y} that maps given range on each axis to [0, 1].
+ *
+ * @param {{x: {start, end}, y: {start, end}}} range
+ * @param {PointerConfig} config
+ * @param {{x: number, y: number}} scrollPosition
+ * @param {function(element: HTMLElement): {left: number, top: number, width: number, height: number}} trackRect
+ * @returns {{x: (x: number) => number, y: (y: number) => number}}
+ */
+function rangeFactory (range, config, scrollPosition, trackRect) {
+  return Object.keys(AXES).reduce((transform, axis) => {
+    const { size } = AXES[axis];
+
+    if (range[axis]) {
+      const start = getRangeOffset(range[axis].start ?? 0, axis, 'start', config, scrollPosition, trackRect);
+      const end = getRangeOffset(range[axis].end ?? '100%', axis, 'end', config, scrollPosition, trackRect);
+
+      transform[axis] = (value) => {
+        const startOffset = start();
+
+        return (value - startOffset) / (end() - startOffset);
+      };
+    }
+    else {
+      transform[axis] = (value) => value / config.rect[size];
+    }
+
+    return transform;
+  }, {});
+}
+
+/**
+ * Whether a range depends on elements' position, and requires tracking scroll position.
+ *
+ * @param {{x: {start, end}, y: {start, end}}} range
+ * @returns {boolean}
+ */
+function isRangeOnElements (range) {
+  return Object.keys(AXES).some(axis => {
+    return typeof range[axis]?.start === 'object' || typeof range[axis]?.end === 'object';
+  });
+}
+
+/**
+ * Return a function that returns the center of a target, relative to root.
+ *
+ * @param {{left: number, top: number, width: number, height: number}} target
+ * @param {PointerConfig} config
+ * @param {{x: number, y: number}} scrollPosition
+ * @param {function(element: HTMLElement): {left: number, top: number, width: number, height: number}} trackRect
+ * @returns {function(): {x: number, y: number}}
+ */
+function targetCenterFactory (target, config, scrollPosition, trackRect) {
+  const offset = config.root ? trackRect(config.root) : null;
+
+  return function () {
+    return {
+      x: target.left - (offset ? offset.left : scrollPosition.x) + target.width / 2,
+      y: target.top - (offset ? offset.top : scrollPosition.y) + target.height / 2
+    };
+  };
+}
+
+/**
+ * Return polar progress of a point relative to a center.
+ * Angle is in degrees in [0, 360), clockwise from the positive x axis.
+ * Radius is distance normalized by the distance from center to the farthest corner of root.
+ *
+ * @param {{x: number, y: number}} center
+ * @param {number} x
+ * @param {number} y
+ * @param {{width: number, height: number}} root
+ * @returns {{angle: number, distance: number, radius: number}}
+ */
+function getPolarProgress (center, x, y, root) {
+  const dx = x - center.x;
+  const dy = y - center.y;
+  const distance = Math.hypot(dx, dy);
+  const farthestX = Math.max(center.x, root.width - center.x);
+  const farthestY = Math.max(center.y, root.height - center.y);
+
+  return {
+    angle: +((Math.atan2(dy, dx) * 180 / Math.PI + 360) % 360).toPrecision(4),
+    distance: +distance.toPrecision(4),
+    radius: +clamp(0, 1, distance / Math.hypot(farthestX, farthestY)).toPrecision(4)
+  };
+}
+
+/**
+ * Return new progress for {x, y} that maps the area around a target, extended by a radius, to [0, 1].
+ *
+ * @param {{left: number, top: number, width: number, height: number}} target
+ * @param {function(): {x: number, y: number}} targetCenter
+ * @param {number} radius
+ * @returns {{x: (x: number) => number, y: (y: number) => number}}
+ */
+function proximityFactory (target, targetCenter, radius) {
+  return {
+    x (x1) {
+      return 0.5 + (x1 - targetCenter().x) / (target.width + radius * 2);
+    },
+    y (y1) {
+      return 0.5 + (y1 - targetCenter().y) / (target.height + radius * 2);
+    }
+  };
+}
+
+/**
+ * Return distance of a point from the edges of a target, or 0 if the point is inside the target.
+ *
+ * @param {{width: number, height: number}} target
+ * @param {{x: number, y: number}} center
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function getDistanceFromTarget (target, center, x, y) {
+  const dx = Math.max(0, Math.abs(x - center.x) - target.width / 2);
+  const dy = Math.max(0, Math.abs(y - center.y) - target.height / 2);
+
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * Apply a scene's curve to progress on an axis.
+ *
+ * @param {function(p: number): number} [curve]
+ * @param {number} p
+ * @returns {number}
+ */
+function applyCurve (curve, p) {
+  return curve ? curve(p) : p;
+}
+
 /**
  * Updates scroll position on scrollend.
  * Used when root is entire viewport and centeredOnTarget=true.
@@ -55,24 +236,30 @@ function scrollendCallback (tick, lastProgress) {
  * Update root rect when root is entire viewport.
  *
  * @param {PointerConfig} config
+ * @param {function} emit
  */
-function windowResize (config) {
+function windowResize (config, emit) {
   config.rect.width = window.document.documentElement.clientWidth;
   config.rect.height = window.document.documentElement.clientHeight;
+
+  emit('resize', { width: config.rect.width, height: config.rect.height });
 }
 
 /**
  * Observe and update root rect when root is an element.
  *
  * @param {PointerConfig} config
+ * @param {function} emit
  * @returns {ResizeObserver}
  */
-function observeRootResize (config) {
+function observeRootResize (config, emit) {
   const observer = new ResizeObserver((entries) => {
     entries.forEach((entry) => {
       config.rect.width = entry.borderBoxSize[0].inlineSize;
       config.rect.height = entry.borderBoxSize[0].blockSize;
     });
+
+    emit('resize', { width: config.rect.width, height: config.rect.height });
   });
 
   observer.observe(config.root, { box: 'border-box' });
@@ -80,38 +267,408 @@ function observeRootResize (config) {
   return observer;
 }
 
+/**
+ * Observe layout changes that may move or resize elements.
+ * Observes the elements and their parents for resize, and layout shifts where supported.
+ *
+ * @param {function} callback
+ * @returns {{observe: function(element: HTMLElement), unobserve: function(element: HTMLElement), disconnect: function}}
+ */
+function observeLayout (callback) {
+  const resizeObserver = new ResizeObserver(callback);
+  const counts = new Map();
+  const parents = new Map();
+  let layoutShiftObserver;
+
+  function add (node) {
+    const count = counts.get(node) || 0;
+
+    if (!count) {
+      resizeObserver.observe(node);
+    }
+
+    counts.set(node, count + 1);
+  }
+
+  function remove (node) {
+    const count = counts.get(node);
+
+    if (count === 1) {
+      counts.delete(node);
+      resizeObserver.unobserve(node);
+    }
+    else if (count) {
+      counts.set(node, count - 1);
+    }
+  }
+
+  if (typeof PerformanceObserver !== 'undefined' && PerformanceObserver.supportedEntryTypes?.includes('layout-shift')) {
+    layoutShiftObserver = new PerformanceObserver(callback);
+    layoutShiftObserver.observe({ type: 'layout-shift' });
+  }
+
+  window.addEventListener('load', callback);
+  document.fonts?.ready.then(callback);
+
+  return {
+    observe (element) {
+      add(element);
+
+      // catch siblings that are added, removed or resized
+      if (element.parentElement && !parents.has(element)) {
+        parents.set(element, element.parentElement);
+        add(element.parentElement);
+      }
+    },
+    unobserve (element) {
+      remove(element);
+
+      // element may be already detached, so use the parent it was observed with
+      if (parents.has(element) && !counts.has(element)) {
+        remove(parents.get(element));
+        parents.delete(element);
+      }
+    },
+    disconnect () {
+      resizeObserver.disconnect();
+      layoutShiftObserver?.disconnect();
+      window.removeEventListener('load', callback);
+      counts.clear();
+      parents.clear();
+    }
+  };
+}
+
 /**
  * Initialize and return a pointer controller.
  *
  * @private
  * @param {PointerConfig} config
- * @return {{tick: function, destroy: function}}
+ * @param {function(type: string, detail: Object)} [emit] called with controller events
+ * @return {{tick: function, refresh: function, addScene: function, removeScene: function, destroy: function}}
  */
-export function getController (config) {
-  let hasCenteredToTarget = false;
+export function getController (config, emit = () => {}) {
   let lastProgress = {x: config.rect.width / 2, y: config.rect.height / 2, vx: 0, vy: 0};
-  let tick, resizeObserver, windowResizeHandler, scrollendHandler, removeScrollendListener;
+  let hasInput = false;
+  let tick, resizeObserver, windowResizeHandler, removeScrollendListener, layoutObserver, intersectionObserver;
 
   const scrollPosition = {x: 0, y: 0};
+  const nearScenes = new Set();
+  const activeScenes = new Set();
+  const hiddenScenes = new Set();
+  const hiddenTargets = new Set();
+  const trackedElements = new Map();
+  const containerListeners = new Map();
+  const throttledRefresh = frameThrottle(refresh);
+
+  // an input source with its own size isn't resized with root or the viewport
+  if (config.root && !config.source?.rect) {
+    resizeObserver = observeRootResize(config, emit);
+  }
+  else if (!config.source?.rect) {
+    windowResizeHandler = windowResize.bind(null, config, emit);
+    window.addEventListener('resize', windowResizeHandler);
+  }
 
   /*
-   * Prepare scenes data.
+   * Returns rect of an element, offset by the scroll position of its scrollable ancestors.
+   */
+  function measure (element) {
+    const rect = getRect(element);
+
+    trackedElements.get(element).containers.forEach((container) => {
+      rect.left -= container.scrollLeft;
+      rect.top -= container.scrollTop;
+    });
+
+    return rect;
+  }
+
+  /*
+   * Returns a rect of an element that is kept up-to-date on layout changes and scroll of its containers,
+   * as long as it's used by the given scene.
+   */
+  function trackRect (scene, element) {
+    let tracked = trackedElements.get(element);
+
+    if (!tracked) {
+      tracked = {
+        containers: getScrollContainers(element),
+        scenes: new Set()
+      };
+
+      trackedElements.set(element, tracked);
+      tracked.rect = measure(element);
+
+      layoutObserver = layoutObserver || observeLayout(throttledRefresh);
+      layoutObserver.observe(element);
+
+      tracked.containers.forEach((container) => {
+        const listener = containerListeners.get(container) || {
+          count: 0,
+          remove: addScrollendListener(container, throttledRefresh)
+        };
+
+        listener.count += 1;
+        containerListeners.set(container, listener);
+      });
+    }
+
+    tracked.scenes.add(scene);
+
+    return tracked.rect;
+  }
+
+  /*
+   * Stop tracking rects that are no longer used after removing given scene.
    */
-  config.scenes.forEach((scene) => {
-    if (scene.target && scene.centeredToTarget) {
-      scene.transform = centerToTargetFactory(getRect(scene.target), config.rect, scrollPosition);
+  function untrackRects (scene) {
+    trackedElements.forEach((tracked, element) => {
+      if (tracked.scenes.delete(scene) && !tracked.scenes.size) {
+        trackedElements.delete(element);
+        layoutObserver.unobserve(element);
 
-      hasCenteredToTarget = true;
+        tracked.containers.forEach((container) => {
+          const listener = containerListeners.get(container);
+
+          listener.count -= 1;
+
+          if (!listener.count) {
+            listener.remove();
+            containerListeners.delete(container);
+          }
+        });
+      }
+    });
+  }
+
+  /*
+   * Start tracking window scroll position.
+   */
+  function trackScroll () {
+    if (!removeScrollendListener) {
+      removeScrollendListener = addScrollendListener(document, scrollendCallback.bind(scrollPosition, tick, lastProgress));
     }
+  }
+
+  /*
+   * Returns an observer that skips scenes while their target is outside the viewport.
+   */
+  function getIntersectionObserver () {
+    if (!intersectionObserver) {
+      intersectionObserver = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            hiddenTargets.delete(entry.target);
+          }
+          else {
+            hiddenTargets.add(entry.target);
+          }
 
-    if (config.root) {
-      resizeObserver = observeRootResize(config);
+          config.scenes.forEach((scene) => {
+            if (scene.target !== entry.target) {
+              return;
+            }
+
+            if (entry.isIntersecting) {
+              hiddenScenes.delete(scene);
+
+              // catch up with latest progress, once there was input
+              if (tick && hasInput && !scene.disabled) {
+                runScene(scene, lastProgress);
+              }
+            }
+            else {
+              hiddenScenes.add(scene);
+            }
+          });
+        });
+      });
     }
-    else {
-      windowResizeHandler = windowResize.bind(null, config);
-      window.addEventListener('resize', windowResizeHandler);
+
+    return intersectionObserver;
+  }
+
+  /**
+   * Prepare scene's data.
+   *
+   * @private
+   * @param {PointerScene} scene
+   */
+  function setupScene (scene) {
+    const track = element => trackRect(scene, element);
+
+    if (scene.curve) {
+      scene.curves = getSceneCurves(scene.curve);
     }
-  });
+
+    if (scene.range) {
+      scene.transform = rangeFactory(scene.range, config, scrollPosition, track);
+
+      if (!config.root && isRangeOnElements(scene.range)) {
+        trackScroll();
+      }
+    }
+    else if (scene.target && scene.centeredToTarget) {
+      scene.targetRect = track(scene.target);
+      scene.transform = centerToTargetFactory(scene.targetRect, config.rect, scrollPosition);
+
+      trackScroll();
+    }
+
+    if (scene.target && (scene.polar || scene.proximity)) {
+      scene.targetRect = track(scene.target);
+      scene.targetCenter = targetCenterFactory(scene.targetRect, config, scrollPosition, track);
+
+      if (!config.root) {
+        trackScroll();
+      }
+    }
+
+    if (scene.target && scene.proximity && !scene.range) {
+      scene.transform = proximityFactory(scene.targetRect, scene.targetCenter, scene.proximity);
+    }
+
+    if (config.skipOffscreen && scene.target && typeof IntersectionObserver !== 'undefined') {
+      getIntersectionObserver().observe(scene.target);
+
+      // target is already observed by a replaced scene, so no new entry will come
+      if (hiddenTargets.has(scene.target)) {
+        hiddenScenes.add(scene);
+      }
+    }
+  }
+
+  /**
+   * Remove scene's data and side effects.
+   *
+   * @private
+   * @param {PointerScene} scene
+   */
+  function teardownScene (scene) {
+    scene.destroy?.();
+
+    untrackRects(scene);
+
+    if (intersectionObserver && scene.target && !config.scenes.some(other => other !== scene && other.target === scene.target)) {
+      intersectionObserver.unobserve(scene.target);
+      hiddenTargets.delete(scene.target);
+    }
+
+    nearScenes.delete(scene);
+    activeScenes.delete(scene);
+    hiddenScenes.delete(scene);
+
+    delete scene.curves;
+    delete scene.transform;
+    delete scene.targetRect;
+    delete scene.targetCenter;
+  }
+
+  function normalizeX (scene, x) {
+    return scene.transform ? scene.transform.x(x) : x / config.rect.width;
+  }
+
+  function normalizeY (scene, y) {
+    return scene.transform ? scene.transform.y(y) : y / config.rect.height;
+  }
+
+  /**
+   * Updates progress in a scene's effect.
+   *
+   * @private
+   * @param {PointerScene} scene
+   * @param {Object} progress pointer progress, as passed to tick
+   */
+  function runScene (scene, progress) {
+    let proximity, leaving = false;
+
+    if (scene.proximity && scene.targetCenter) {
+      const distance = getDistanceFromTarget(scene.targetRect, scene.targetCenter(), progress.x, progress.y);
+      const isNear = distance <= scene.proximity;
+
+      if (isNear && !nearScenes.has(scene)) {
+        nearScenes.add(scene);
+        scene.enter?.(scene);
+        emit('enter', { scene });
+      }
+      else if (!isNear) {
+        if (!nearScenes.has(scene)) {
+          // out of reach
+          return;
+        }
+
+        nearScenes.delete(scene);
+        leaving = true;
+      }
+
+      proximity = isNear ? +(1 - distance / scene.proximity).toPrecision(4) : 0;
+    }
+
+    // get scene's progress
+    const normalizedX = normalizeX(scene, progress.x);
+    const normalizedY = normalizeY(scene, progress.y);
+
+    const x = +applyCurve(scene.curves?.x, clamp(0, 1, normalizedX)).toPrecision(4);
+    const y = +applyCurve(scene.curves?.y, clamp(0, 1, normalizedY)).toPrecision(4);
+    const sceneProgress = {x, y};
+
+    const velocity = {x: progress.vx, y: progress.vy};
+
+    if (config.allowActiveEvent) {
+      progress.active = (normalizedX <= 1 && normalizedY <= 1 && normalizedX >= 0 && normalizedY >= 0);
+
+      if (progress.active !== activeScenes.has(scene)) {
+        if (progress.active) {
+          activeScenes.add(scene);
+        }
+        else {
+          activeScenes.delete(scene);
+        }
+
+        emit(progress.active ? 'active' : 'inactive', { scene });
+      }
+    }
+
+    if (progress.pointers) {
+      sceneProgress.pointers = progress.pointers.map(pointer => ({
+        id: pointer.id,
+        x: +clamp(0, 1, normalizeX(scene, pointer.x)).toPrecision(4),
+        y: +clamp(0, 1, normalizeY(scene, pointer.y)).toPrecision(4)
+      }));
+      sceneProgress.spread = progress.spread;
+      sceneProgress.rotation = progress.rotation;
+    }
+
+    if (scene.polar && scene.targetCenter) {
+      Object.assign(sceneProgress, getPolarProgress(scene.targetCenter(), progress.x, progress.y, config.rect));
+    }
+
+    if (proximity !== undefined) {
+      sceneProgress.proximity = proximity;
+    }
+
+    if (config.drag) {
+      sceneProgress.pressed = progress.pressed;
+      sceneProgress.button = progress.button;
+      sceneProgress.drag = {
+        x: +(progress.dragX / config.rect.width).toPrecision(4),
+        y: +(progress.dragY / config.rect.height).toPrecision(4)
+      };
+      sceneProgress.offset = {
+        x: +((progress.offsetX + progress.dragX) / config.rect.width).toPrecision(4),
+        y: +((progress.offsetY + progress.dragY) / config.rect.height).toPrecision(4)
+      };
+    }
+
+    // run effect
+    scene.effect(scene, sceneProgress, velocity, progress.active);
+
+    if (leaving) {
+      scene.leave?.(scene);
+      emit('leave', { scene });
+    }
+  }
 
   /**
    * Updates progress in all scene effects.
@@ -122,34 +679,64 @@ export function getController (config) {
    * @param {number} progress.y
    * @param {number} progress.vx
    * @param {number} progress.vy
+   * @param {Array<{id: number, x: number, y: number}>} [progress.pointers]
+   * @param {number} [progress.spread]
+   * @param {number} [progress.rotation]
+   * @param {boolean} [progress.pressed]
+   * @param {number} [progress.button]
+   * @param {number} [progress.dragX]
+   * @param {number} [progress.dragY]
+   * @param {number} [progress.offsetX]
+   * @param {number} [progress.offsetY]
    */
   tick = function (progress) {
-    for (let scene of config.scenes) {
-      if (!scene.disabled) {
-        // get scene's progress
-        const normalizedX = scene.transform?.x(progress.x) || progress.x / config.rect.width;
-        const normalizedY = scene.transform?.y(progress.y) || progress.y / config.rect.height;
+    hasInput = true;
 
-        const x = +clamp(0, 1, normalizedX).toPrecision(4);
-        const y = +clamp(0, 1, normalizedY).toPrecision(4);
+    for (let scene of config.scenes) {
+      if (!scene.disabled && !hiddenScenes.has(scene)) {
+        runScene(scene, progress);
+      }
+    }
 
-        const velocity = {x: progress.vx, y: progress.vy};
+    Object.assign(lastProgress, progress);
+  }
 
-        if (config.allowActiveEvent) {
-          progress.active = (normalizedX <= 1 && normalizedY <= 1 && normalizedX >= 0 && normalizedY >= 0);
-        }
+  /**
+   * Re-measure rects of all tracked elements, and update effects if there was input already.
+   */
+  function refresh () {
+    trackedElements.forEach((tracked, element) => Object.assign(tracked.rect, measure(element)));
 
-        // run effect
-        scene.effect(scene, {x, y}, velocity, progress.active);
-      }
+    if (tick && hasInput) {
+      tick(lastProgress);
     }
+  }
 
-    Object.assign(lastProgress, progress);
+  /*
+   * Prepare scenes data.
+   */
+  config.scenes.forEach(setupScene);
+
+  /**
+   * Set up a scene that was added to config.scenes, and update it with latest progress once there was input.
+   *
+   * @param {PointerScene} scene
+   */
+  function addScene (scene) {
+    setupScene(scene);
+
+    if (hasInput && !scene.disabled && !hiddenScenes.has(scene)) {
+      runScene(scene, lastProgress);
+    }
   }
 
-  if (hasCenteredToTarget) {
-    scrollendHandler = scrollendCallback.bind(scrollPosition, tick, lastProgress)
-    removeScrollendListener = addScrollendListener(document, scrollendHandler);
+  /**
+   * Destroy a scene that was removed from config.scenes, and remove its side effects.
+   *
+   * @param {PointerScene} scene
+   */
+  function removeScene (scene) {
+    teardownScene(scene);
   }
 
   /**
@@ -159,12 +746,21 @@ export function getController (config) {
     config.scenes.forEach(scene => scene.destroy?.());
 
     removeScrollendListener?.();
+    layoutObserver?.disconnect();
+    containerListeners.forEach(listener => listener.remove());
+    containerListeners.clear();
+    intersectionObserver?.disconnect();
+    nearScenes.clear();
+    activeScenes.clear();
+    hiddenScenes.clear();
+    hiddenTargets.clear();
+    trackedElements.clear();
 
     if (resizeObserver) {
       resizeObserver.disconnect();
       resizeObserver = null;
     }
-    else {
+    else if (windowResizeHandler) {
       window.removeEventListener('resize', windowResizeHandler);
       windowResizeHandler = null;
     }
@@ -178,6 +774,9 @@ export function getController (config) {
    */
   return {
     tick,
+    refresh,
+    addScene,
+    removeScene,
     destroy
   };
 }
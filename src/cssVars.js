@@ -0,0 +1,110 @@
+import { frameThrottle } from './utilities.js';
+
+/**
+ * @private
+ * @type {Object<string, string>}
+ */
+const DEFAULT_PROPERTIES = {
+  x: '--kuliso-x',
+  y: '--kuliso-y',
+  vx: '--kuliso-vx',
+  vy: '--kuliso-vy',
+  active: '--kuliso-active'
+};
+
+/**
+ * Register custom properties as numbers, so they can be transitioned and used in calc().
+ * Ignores properties that are already registered.
+ *
+ * @private
+ * @param {string[]} names
+ */
+function registerProperties (names) {
+  if (typeof CSS === 'undefined' || typeof CSS.registerProperty !== 'function') {
+    return;
+  }
+
+  names.forEach((name) => {
+    try {
+      CSS.registerProperty({ name, syntax: '<number>', inherits: true, initialValue: '0' });
+    }
+    catch (e) {
+      // already registered
+    }
+  });
+}
+
+/**
+ * Returns a scene that writes progress, velocity and active state to CSS custom properties,
+ * so effects can be styled in CSS. Writes are batched once per animation frame.
+ * Any other scene options, like target or curve, are passed through.
+ *
+ * @param {CSSVarsSceneConfig} [config]
+ * @return {PointerScene|GyroScene}
+ *
+ * @example
+ * import { Pointer, getCSSVarsScene } from 'kuliso';
+ *
+ * const pointer = new Pointer({
+ *   scenes: [getCSSVarsScene({ target: card, centeredToTarget: true, register: true })]
+ * });
+ *
+ * // .card { transform: rotateY(calc((var(--kuliso-x) - 0.5) * 20deg)); }
+ */
+export function getCSSVarsScene ({ element, properties, register, ...scene } = {}) {
+  const names = Object.entries({ ...DEFAULT_PROPERTIES, ...properties })
+    .filter(([, name]) => name);
+  const destroy = scene.destroy;
+  let values = null;
+
+  if (register) {
+    registerProperties(names.map(([, name]) => name));
+  }
+
+  const getElement = () => element || scene.target || document.documentElement;
+
+  const write = frameThrottle(() => {
+    if (!values) {
+      // destroyed before the frame
+      return;
+    }
+
+    const style = getElement().style;
+
+    names.forEach(([key, name]) => {
+      if (values[key] !== undefined) {
+        style.setProperty(name, values[key]);
+      }
+    });
+  });
+
+  return {
+    ...scene,
+    effect (_scene, progress, velocity, active) {
+      values = {
+        x: progress.x,
+        y: progress.y,
+        vx: velocity?.x,
+        vy: velocity?.y,
+        active: active === undefined ? undefined : Number(active)
+      };
+
+      write();
+    },
+    destroy () {
+      const style = getElement().style;
+
+      names.forEach(([, name]) => style.removeProperty(name));
+      values = null;
+      destroy?.call(this);
+    }
+  };
+}
+
+/**
+ * @typedef {object} CSSVarsSceneConfig
+ * @desc Accepts all options of PointerScene or GyroScene, except effect.
+ * @property {HTMLElement} [element] element to set the properties on. Defaults to the scene's target, or the document's root element. Set it to a Pointer's root to scope the properties to it.
+ * @property {{x: ?string, y: ?string, vx: ?string, vy: ?string, active: ?string}} [properties] names of the custom properties. Set a name to null to skip it. Defaults to --kuliso-x, --kuliso-y, --kuliso-vx, --kuliso-vy and --kuliso-active.
+ * @property {boolean} [register] whether to register the properties as numbers with CSS.registerProperty, where supported.
+ */
@@ -0,0 +1,223 @@
+const NAMED_EASINGS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+const NAMED_STEPS = {
+  'step-start': [1, 'jump-start'],
+  'step-end': [1, 'jump-end']
+};
+
+/**
+ * Returns an easing function for a cubic Bézier curve from (0, 0) to (1, 1).
+ *
+ * @private
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @return {function(p: number): number}
+ */
+function cubicBezier (x1, y1, x2, y2) {
+  const bezier = (t, p1, p2) => 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+  const derivative = (t, p1, p2) => 3 * (1 - t) * (1 - t) * p1 + 6 * (1 - t) * t * (p2 - p1) + 3 * t * t * (1 - p2);
+
+  if (x1 === y1 && x2 === y2) {
+    return (p) => p;
+  }
+
+  return function (p) {
+    if (p <= 0 || p >= 1) {
+      return p;
+    }
+
+    // find t for x with Newton-Raphson, falling back to bisection
+    let t = p;
+
+    for (let i = 0; i < 8; i++) {
+      const error = bezier(t, x1, x2) - p;
+      const slope = derivative(t, x1, x2);
+
+      if (Math.abs(error) < 1e-6) {
+        return bezier(t, y1, y2);
+      }
+
+      if (Math.abs(slope) < 1e-6) {
+        break;
+      }
+
+      t -= error / slope;
+    }
+
+    let low = 0;
+    let high = 1;
+
+    t = p;
+
+    while (high - low > 1e-6) {
+      if (bezier(t, x1, x2) < p) {
+        low = t;
+      } else {
+        high = t;
+      }
+
+      t = (low + high) / 2;
+    }
+
+    return bezier(t, y1, y2);
+  };
+}
+
+/**
+ * Returns an easing function that jumps in equal steps.
+ *
+ * @private
+ * @param {number} count number of steps
+ * @param {string} [position] one of 'jump-start', 'jump-end', 'jump-none', 'jump-both', 'start', or 'end'. Defaults to 'jump-end'.
+ * @return {function(p: number): number}
+ */
+function steps (count, position = 'jump-end') {
+  const jumpStart = position === 'jump-start' || position === 'start' || position === 'jump-both';
+  const jumps = position === 'jump-none'
+    ? count - 1
+    : position === 'jump-both' ? count + 1 : count;
+
+  return function (p) {
+    let step = Math.floor(p * count);
+
+    if (jumpStart) {
+      step += 1;
+    }
+
+    return Math.min(Math.max(step, 0), jumps) / jumps;
+  };
+}
+
+/**
+ * Returns a piecewise linear function through given points.
+ *
+ * @private
+ * @param {Array<[number, number]>} points list of [input, output] pairs
+ * @return {function(p: number): number}
+ *
+ * @example
+ * const curve = keyframes([[0, 0], [0.5, 1], [1, 0]]);
+ * curve(0.25); // returns 0.5
+ */
+function keyframes (points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0]);
+  const last = sorted.length - 1;
+
+  return function (p) {
+    if (p <= sorted[0][0]) {
+      return sorted[0][1];
+    }
+
+    if (p >= sorted[last][0]) {
+      return sorted[last][1];
+    }
+
+    const index = sorted.findIndex(([input]) => input > p);
+    const [x0, y0] = sorted[index - 1];
+    const [x1, y1] = sorted[index];
+
+    return y0 + (y1 - y0) * (p - x0) / (x1 - x0);
+  };
+}
+
+/**
+ * Parses a CSS easing string into an easing function.
+ *
+ * @private
+ * @param {string} easing e.g. 'ease-in', 'cubic-bezier(0.3, 0, 0.2, 1)', or 'steps(4, jump-end)'
+ * @return {function(p: number): number}
+ */
+function parseEasing (easing) {
+  const value = easing.trim();
+
+  if (NAMED_EASINGS[value]) {
+    return cubicBezier(...NAMED_EASINGS[value]);
+  }
+
+  if (NAMED_STEPS[value]) {
+    return steps(...NAMED_STEPS[value]);
+  }
+
+  const match = value.match(/^(cubic-bezier|steps)\((.*)\)$/);
+
+  if (match) {
+    const args = match[2].split(',').map(arg => arg.trim());
+
+    if (match[1] === 'cubic-bezier' && args.length === 4) {
+      return cubicBezier(...args.map(parseFloat));
+    }
+
+    if (match[1] === 'steps') {
+      return steps(parseInt(args[0]), args[1]);
+    }
+  }
+
+  throw new Error(`Invalid easing: "${easing}"`);
+}
+
+/**
+ * Returns a curve function from a curve definition.
+ *
+ * @private
+ * @param {SceneCurve} curve
+ * @return {function(p: number): number}
+ */
+function getCurve (curve) {
+  if (typeof curve === 'function') {
+    return curve;
+  }
+
+  if (typeof curve === 'string') {
+    return parseEasing(curve);
+  }
+
+  return keyframes(curve);
+}
+
+/**
+ * Returns curve functions for both axes of a scene.
+ *
+ * @private
+ * @param {SceneCurve|{x: SceneCurve, y: SceneCurve}} curve
+ * @return {{x: function(p: number): number, y: function(p: number): number}}
+ */
+function getSceneCurves (curve) {
+  if (curve && typeof curve === 'object' && !Array.isArray(curve)) {
+    return {
+      x: curve.x ? getCurve(curve.x) : null,
+      y: curve.y ? getCurve(curve.y) : null
+    };
+  }
+
+  const axisCurve = getCurve(curve);
+
+  return {
+    x: axisCurve,
+    y: axisCurve
+  };
+}
+
+export {
+  cubicBezier,
+  steps,
+  keyframes,
+  parseEasing,
+  getCurve,
+  getSceneCurves
+};
+
+/**
+ * @typedef {(function(number): number|string|Array<Array<number>>)} SceneCurve
+ * @desc A mapping of a scene's progress on an axis. Either an easing function,
+ * a CSS easing string, e.g. 'ease-in-out' or 'cubic-bezier(0.3, 0, 0.2, 1)',
+ * or a list of [input, output] keyframes that are linearly interpolated.
+ * @example [[0, 0], [0.5, 1], [1, 0]]
+ */
@@ -0,0 +1,178 @@
+import { Pointer } from './Pointer.js';
+import { Gyro } from './Gyro.js';
+import { getCSSVarsScene } from './cssVars.js';
+
+const TEMPLATE = '<style>:host { display: block; }</style><slot></slot>';
+
+/**
+ * @private
+ * @type {Object<string, [string, function]>}
+ */
+const COMMON_ATTRIBUTES = {
+  'transition-duration': ['transitionDuration', Number],
+  'spring': ['spring', Boolean],
+  'no-throttle': ['noThrottle', Boolean]
+};
+
+/**
+ * @private
+ * @type {Object<string, [string, function]>}
+ */
+const POINTER_ATTRIBUTES = {
+  ...COMMON_ATTRIBUTES,
+  'multi-touch': ['multiTouch', Boolean],
+  'drag': ['drag', Boolean]
+};
+
+/**
+ * @private
+ * @type {Object<string, [string, function]>}
+ */
+const GYRO_ATTRIBUTES = {
+  ...COMMON_ATTRIBUTES,
+  'samples': ['samples', Number],
+  'max-beta': ['maxBeta', Number],
+  'max-gamma': ['maxGamma', Number]
+};
+
+/**
+ * Returns controller config from an element's attributes.
+ *
+ * @private
+ * @param {HTMLElement} element
+ * @param {Object<string, [string, function]>} attributes map of attribute names to config keys and types
+ * @return {Object}
+ */
+function getConfig (element, attributes) {
+  return Object.entries(attributes).reduce((config, [attribute, [key, type]]) => {
+    if (element.hasAttribute(attribute)) {
+      config[key] = type === Boolean ? true : Number(element.getAttribute(attribute));
+    }
+
+    return config;
+  }, {});
+}
+
+/**
+ * Returns a custom element class that drives a controller while connected.
+ *
+ * @private
+ * @param {typeof Pointer|typeof Gyro} Controller
+ * @param {Object<string, [string, function]>} attributes
+ * @return {typeof HTMLElement}
+ */
+function getElementClass (Controller, attributes) {
+  return class extends HTMLElement {
+    static get observedAttributes () {
+      return Object.keys(attributes);
+    }
+
+    constructor () {
+      super();
+
+      this.controller = null;
+      this.progress = null;
+      this.velocity = null;
+      this.active = false;
+
+      if (!this.shadowRoot) {
+        // slotted content is the hit area, and inherits the custom properties
+        this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE;
+      }
+    }
+
+    connectedCallback () {
+      this._setup();
+    }
+
+    disconnectedCallback () {
+      this._teardown();
+    }
+
+    attributeChangedCallback () {
+      if (this.controller) {
+        this._setup();
+      }
+    }
+
+    /**
+     * Create and start the controller from current attributes.
+     *
+     * @private
+     */
+    _setup () {
+      this._teardown();
+
+      const config = getConfig(this, attributes);
+
+      if (Controller === Pointer) {
+        config.root = this;
+      }
+
+      config.scenes = [
+        getCSSVarsScene({ element: this }),
+        {
+          effect: (scene, progress, velocity, active) => {
+            this.progress = progress;
+            this.velocity = velocity;
+            this.active = Boolean(active);
+
+            this.dispatchEvent(new CustomEvent('progress', { detail: { progress, velocity, active } }));
+          }
+        }
+      ];
+
+      this.controller = new Controller(config);
+      this.controller.start();
+    }
+
+    /**
+     * Destroy the controller.
+     *
+     * @private
+     */
+    _teardown () {
+      this.controller?.destroy();
+      this.controller = null;
+    }
+  };
+}
+
+/**
+ * Define the `<kuliso-pointer>` and `<kuliso-gyro>` custom elements, unless already defined.
+ * Each element drives a Pointer, with itself as root, or a Gyro while it's connected,
+ * and exposes progress as `progress`, `velocity` and `active` properties, `progress` events,
+ * and `--kuliso-*` custom properties that are inherited by its slotted content.
+ *
+ * @param {{pointer: string, gyro: string}} [names] custom tag names
+ *
+ * @example
+ * import { defineElements } from 'kuliso/elements.js';
+ *
+ * defineElements();
+ *
+ * // <kuliso-pointer transition-duration="200"><div class="card"></div></kuliso-pointer>
+ * document.querySelector('kuliso-pointer').addEventListener('progress', ({ detail }) => {
+ *   console.log(detail.progress.x);
+ * });
+ */
+export function defineElements ({ pointer = 'kuliso-pointer', gyro = 'kuliso-gyro' } = {}) {
+  if (!customElements.get(pointer)) {
+    customElements.define(pointer, getElementClass(Pointer, POINTER_ATTRIBUTES));
+  }
+
+  if (!customElements.get(gyro)) {
+    const GyroElement = getElementClass(Gyro, GYRO_ATTRIBUTES);
+
+    customElements.define(gyro, class extends GyroElement {
+      /**
+       * Request permission to read device orientation, must be called from a user gesture on iOS.
+       *
+       * @return {Promise<GyroPermissionState>}
+       */
+      requestPermission () {
+        return (this.controller || new Gyro({ scenes: [] })).requestPermission();
+      }
+    });
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * @class Emitter
+ * @desc Base class of controllers for subscribing to their lifecycle and state events.
+ *
+ * @example
+ * pointer.on('active', ({ scene }) => {
+ *   analytics.track('hero-hover', scene.target.id);
+ * });
+ */
+export class Emitter {
+  constructor () {
+    this._listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event.
+   *
+   * @param {string} type
+   * @param {ControllerEventHandler} handler
+   * @return {this}
+   */
+  on (type, handler) {
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, new Set());
+    }
+
+    this._listeners.get(type).add(handler);
+
+    return this;
+  }
+
+  /**
+   * Unsubscribe from an event. Without a handler removes all handlers of that event.
+   *
+   * @param {string} type
+   * @param {ControllerEventHandler} [handler]
+   * @return {this}
+   */
+  off (type, handler) {
+    if (handler) {
+      this._listeners.get(type)?.delete(handler);
+    }
+    else {
+      this._listeners.delete(type);
+    }
+
+    return this;
+  }
+
+  /**
+   * Call all handlers of an event.
+   *
+   * @private
+   * @param {string} type
+   * @param {Object} [detail] additional properties of the event
+   */
+  emit (type, detail) {
+    const handlers = this._listeners.get(type);
+
+    if (!handlers) {
+      return;
+    }
+
+    const event = { type, target: this, ...detail };
+
+    // copy so handlers may unsubscribe while emitting
+    [...handlers].forEach(handler => handler(event));
+  }
+}
+
+/**
+ * @typedef {function(event: ControllerEvent)} ControllerEventHandler
+ */
+
+/**
+ * @typedef {object} ControllerEvent
+ * @property {string} type name of the event.
+ * @property {Pointer|Gyro} target the controller that emitted the event.
+ * @property {PointerScene} [scene] the scene of active, inactive, enter, and leave events.
+ * @property {number} [width] width of the root on resize events.
+ * @property {number} [height] height of the root on resize events.
+ * @property {number} [x] neutral horizontal angle on calibrate events.
+ * @property {number} [y] neutral vertical angle on calibrate events.
+ * @property {GyroPermissionState} [state] permission state on permission events.
+ */
@@ -0,0 +1,98 @@
+const ONE_EURO_DEFAULTS = {
+  minCutoff: 1,
+  beta: 0.01,
+  dCutoff: 1
+};
+
+/**
+ * Returns the smoothing factor of an exponential filter for a given cutoff frequency and time delta.
+ *
+ * @private
+ * @param {number} cutoff cutoff frequency in Hz
+ * @param {number} dt time delta in seconds
+ * @return {number}
+ */
+function getAlpha (cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+
+  return 1 / (1 + tau / dt);
+}
+
+/**
+ * Returns a low-pass filter that keeps a factor of each new value.
+ *
+ * @private
+ * @param {{factor: number}} config factor in (0, 1], lower values smooth more
+ * @return {function(value: number): number}
+ */
+function lowPassFilter ({ factor = 0.2 }) {
+  let last = null;
+
+  return function (value) {
+    last = last === null ? value : last + (value - last) * factor;
+
+    return last;
+  };
+}
+
+/**
+ * Returns a One Euro filter, that smooths slow movements and keeps fast movements responsive.
+ *
+ * @private
+ * @see https://gery.casiez.net/1euro/
+ * @param {{minCutoff: number, beta: number, dCutoff: number}} config
+ * @return {function(value: number, time: number): number}
+ */
+function oneEuroFilter (config) {
+  const { minCutoff, beta, dCutoff } = { ...ONE_EURO_DEFAULTS, ...config };
+  let last = null;
+  let lastDerivative = 0;
+  let lastTime = 0;
+
+  return function (value, time) {
+    if (last === null || time <= lastTime) {
+      last = last === null ? value : last;
+      lastTime = time;
+
+      return last;
+    }
+
+    const dt = (time - lastTime) / 1e3;
+    const derivative = (value - last) / dt;
+
+    lastDerivative += (derivative - lastDerivative) * getAlpha(dCutoff, dt);
+
+    const cutoff = minCutoff + beta * Math.abs(lastDerivative);
+
+    last += (value - last) * getAlpha(cutoff, dt);
+    lastTime = time;
+
+    return last;
+  };
+}
+
+/**
+ * Returns a filter according to given smoothing config.
+ *
+ * @private
+ * @param {SmoothingConfig} config
+ * @return {function(value: number, time: number): number}
+ */
+function getFilter (config) {
+  return config.type === 'one-euro' ? oneEuroFilter(config) : lowPassFilter(config);
+}
+
+export {
+  lowPassFilter,
+  oneEuroFilter,
+  getFilter
+};
+
+/**
+ * @typedef {object} SmoothingConfig
+ * @property {'low-pass'|'one-euro'} [type] type of filter. Defaults to 'low-pass'.
+ * @property {number} [factor] for low-pass, factor in (0, 1] of each new sample to keep. Lower values smooth more. Defaults to 0.2.
+ * @property {number} [minCutoff] for one-euro, minimum cutoff frequency in Hz. Lower values smooth more. Defaults to 1.
+ * @property {number} [beta] for one-euro, how fast cutoff increases with speed. Higher values lag less. Defaults to 0.01.
+ * @property {number} [dCutoff] for one-euro, cutoff frequency in Hz for the derivative. Defaults to 1.
+ */
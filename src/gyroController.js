@@ -1,12 +1,58 @@
+import { getSceneCurves } from './easing.js';
+
 /**
  * Initialize and return a gyroscope controller.
  *
  * @private
  * @param {GyroConfig} config
- * @return {{tick: function, destroy: function}}
+ * @return {{tick: function, addScene: function, removeScene: function, destroy: function}}
  */
 export function getController (config) {
-  let tick;
+  let tick, lastProgress;
+
+  /**
+   * Prepare scene's data.
+   *
+   * @private
+   * @param {GyroScene} scene
+   */
+  function setupScene (scene) {
+    if (scene.curve) {
+      scene.curves = getSceneCurves(scene.curve);
+    }
+  }
+
+  /*
+   * Prepare scenes data.
+   */
+  config.scenes.forEach(setupScene);
+
+  /**
+   * Runs a single scene's effect with given progress.
+   *
+   * @private
+   * @param {GyroScene} scene
+   * @param {Object} progress
+   */
+  function runScene (scene, progress) {
+    const velocity = {
+      x: progress.vx,
+      y: progress.vy,
+      angularX: progress.angularVx,
+      angularY: progress.angularVy
+    };
+
+    const sceneProgress = scene.curves
+      ? {
+        ...progress,
+        x: scene.curves.x ? +scene.curves.x(progress.x).toPrecision(4) : progress.x,
+        y: scene.curves.y ? +scene.curves.y(progress.y).toPrecision(4) : progress.y
+      }
+      : progress;
+
+    // run effect
+    scene.effect(scene, sceneProgress, velocity);
+  }
 
   /**
    * Updates progress in all scene effects.
@@ -17,24 +63,49 @@ export function getController (config) {
    * @param {number} progress.y
    * @param {number} progress.vx
    * @param {number} progress.vy
+   * @param {number} progress.angularVx
+   * @param {number} progress.angularVy
    */
   tick = function (progress) {
+    lastProgress = progress;
+
     for (let scene of config.scenes) {
       if (!scene.disabled) {
-        const velocity = {x: progress.vx, y: progress.vy};
-
-        // run effect
-        scene.effect(scene, progress, velocity);
+        runScene(scene, progress);
       }
     }
   }
 
+  /**
+   * Set up a scene that was added to config.scenes, and update it with latest progress, if any.
+   *
+   * @param {GyroScene} scene
+   */
+  function addScene (scene) {
+    setupScene(scene);
+
+    if (lastProgress && !scene.disabled) {
+      runScene(scene, lastProgress);
+    }
+  }
+
+  /**
+   * Destroy a scene that was removed from config.scenes.
+   *
+   * @param {GyroScene} scene
+   */
+  function removeScene (scene) {
+    scene.destroy?.();
+    delete scene.curves;
+  }
+
   /**
    * Removes all side effects and deletes all objects.
    */
   function destroy () {
     config.scenes.forEach(scene => scene.destroy?.());
     tick = null;
+    lastProgress = null;
   }
 
   /**
@@ -42,6 +113,8 @@ export function getController (config) {
    */
   return {
     tick,
+    addScene,
+    removeScene,
     destroy
   };
 }
@@ -1,2 +1,6 @@
 export * from './Pointer.js';
 export * from './Gyro.js';
+export * from './Hybrid.js';
+export * from './animation.js';
+export * from './cssVars.js';
+export * from './sources.js';
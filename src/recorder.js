@@ -0,0 +1,207 @@
+import { Emitter } from './emitter.js';
+import { Gyro } from './Gyro.js';
+
+const TRACE_VERSION = 1;
+
+/**
+ * Start recording input of a Pointer or a Gyro into a trace.
+ * Records the input of the controller's source, so it also records input sources other than DOM events.
+ *
+ * @param {Pointer|Gyro} controller
+ * @return {{stop: function(): Trace}} call stop() to end the recording and get the trace
+ *
+ * @example
+ * import { record } from 'kuliso/recorder.js';
+ *
+ * const recording = record(pointer);
+ *
+ * // later
+ * const json = JSON.stringify(recording.stop());
+ */
+export function record (controller) {
+  const isGyro = controller instanceof Gyro;
+  const source = controller.source;
+  const start = performance.now();
+  const events = [];
+
+  const listener = ({ time, ...input }) => {
+    events.push({ t: Math.max(0, (time ?? performance.now()) - start), ...input });
+  };
+
+  source.connect(listener);
+
+  return {
+    stop () {
+      source.disconnect(listener);
+
+      const trace = {
+        version: TRACE_VERSION,
+        type: isGyro ? 'gyro' : 'pointer',
+        events
+      };
+
+      if (!isGyro) {
+        trace.rect = { ...controller.config.rect };
+      }
+
+      return trace;
+    }
+  };
+}
+
+/**
+ * @class Player
+ * @desc Replays a recorded trace through a controller's own input handler, so smoothing, transitions and springs apply as usual.
+ * Sets up the controller's effect if it's not started. Pause the controller to ignore live input while replaying.
+ * Emits `play`, `pause`, `seek` and `end` events.
+ * @param {Pointer|Gyro} controller
+ * @param {Trace} trace
+ * @param {{speed: number, loop: boolean}} [options] playback rate, defaults to 1, and whether to loop.
+ *
+ * @example
+ * const player = new Player(pointer, trace, { speed: 2 });
+ *
+ * player.on('end', () => console.log('done'));
+ * player.play();
+ */
+export class Player extends Emitter {
+  constructor (controller, trace, { speed = 1, loop = false } = {}) {
+    super();
+
+    this.controller = controller;
+    this.trace = trace;
+    this.speed = speed;
+    this.loop = loop;
+    this.currentTime = 0;
+    this.duration = trace.events.length ? trace.events[trace.events.length - 1].t : 0;
+    this.playing = false;
+
+    this._index = 0;
+    this._lastTime = 0;
+    this._nextTick = null;
+
+    this._tick = (time) => {
+      this.currentTime = Math.min(this.duration, this.currentTime + (time - this._lastTime) * this.speed);
+      this._lastTime = time;
+
+      this._dispatchUntil(this.currentTime);
+
+      if (this.currentTime >= this.duration) {
+        if (this.loop) {
+          this.seek(0);
+        }
+        else {
+          this.pause();
+          this.emit('end');
+          return;
+        }
+      }
+
+      this._nextTick = requestAnimationFrame(this._tick);
+    };
+  }
+
+  /**
+   * Start or resume playback.
+   */
+  play () {
+    if (this.playing) {
+      return;
+    }
+
+    if (this.currentTime >= this.duration) {
+      this.seek(0);
+    }
+
+    this.playing = true;
+    this._lastTime = performance.now();
+    this._nextTick = requestAnimationFrame(this._tick);
+    this.emit('play');
+  }
+
+  /**
+   * Pause playback.
+   */
+  pause () {
+    if (!this.playing) {
+      return;
+    }
+
+    this.playing = false;
+    cancelAnimationFrame(this._nextTick);
+    this._nextTick = null;
+    this.emit('pause');
+  }
+
+  /**
+   * Jump to a time in the trace, in milliseconds, dispatching all events up to it.
+   * Seeking backwards resets the controller's input state and replays the trace from its start.
+   *
+   * @param {number} time
+   */
+  seek (time) {
+    const target = Math.min(Math.max(0, time), this.duration);
+
+    if (target < this.currentTime) {
+      // replay from a clean state, so each pass gives the same progress
+      this._index = 0;
+      this.controller.resetInput();
+    }
+
+    this.currentTime = target;
+    this._dispatchUntil(target);
+    this.emit('seek');
+  }
+
+  /**
+   * Stop playback.
+   */
+  destroy () {
+    this.pause();
+    this._listeners.clear();
+  }
+
+  /**
+   * Dispatch all events up to a given time to the controller's input handler.
+   *
+   * @private
+   * @param {number} time
+   */
+  _dispatchUntil (time) {
+    const events = this.trace.events;
+
+    if (!this.controller.effect) {
+      this.controller.setupEffect();
+    }
+
+    while (this._index < events.length && events[this._index].t <= time) {
+      const { t, ...input } = events[this._index];
+
+      this.controller._input({ ...input, time: t });
+
+      this._index += 1;
+    }
+  }
+}
+
+/**
+ * @typedef {object} Trace
+ * @desc A recording of input events, serializable as JSON.
+ * @property {number} version version of the trace format, currently 1.
+ * @property {'pointer'|'gyro'} type the type of controller that was recorded.
+ * @property {{width: number, height: number}} [rect] size of the Pointer's root when recording started. Coordinates are in its pixels.
+ * @property {TraceEvent[]} events recorded events, ordered by time.
+ */
+
+/**
+ * @typedef {object} TraceEvent
+ * @desc Input of the controller's source, as in SourceInput, with the time it was recorded at instead of its own time.
+ * @property {number} t time since the recording started, in milliseconds.
+ * @property {string} [type] input type: pointermove, pointerdown, pointerup, pointercancel, pointerenter, pointerleave, deviceorientation, devicemotion or orientationchange.
+ * @property {number} [x] horizontal position in pixels of root for Pointer, or angle in degrees on the screen's axis for Gyro.
+ * @property {number} [y] vertical position in pixels of root for Pointer, or angle in degrees on the screen's axis for Gyro.
+ * @property {number} [pointerId] for pointer input.
+ * @property {string} [pointerType] for pointer input.
+ * @property {number} [button] for pointer input.
+ * @property {{x: number, y: number}} [rotationRate] for devicemotion input.
+ */
@@ -1,4 +1,5 @@
 let listeners = 0;
+let removeScrollendPolyfill;
 const pointers = new Set();
 
 function initScrollendPolyfill () {
@@ -33,7 +34,6 @@ export function addScrollendListener (target, listener) {
   }
 
   let timeout = 0;
-  let removeScrollendPolyfill;
 
   if (!listeners) {
     removeScrollendPolyfill = initScrollendPolyfill();
@@ -64,6 +64,7 @@ export function addScrollendListener (target, listener) {
 
     if (!listeners) {
       removeScrollendPolyfill();
+      removeScrollendPolyfill = null;
     }
   };
 }
@@ -0,0 +1,357 @@
+import { testPointerOffsetDprBug, testScrollOffsetsForWebKitPointerBug } from './utilities.js';
+
+let shouldFixSynthPointer;
+
+function scrollHandler () {
+  scrollOffsets.x = window.scrollX;
+  scrollOffsets.y = window.scrollY;
+}
+const scrollOffsets = { x: 0, y: 0, scrollHandler, fixRequired: undefined };
+
+/**
+ * Returns the angle of the screen's orientation, one of 0, 90, 180 or 270.
+ *
+ * @private
+ * @returns {number}
+ */
+function getScreenAngle () {
+  const angle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+
+  return (angle + 360) % 360;
+}
+
+/**
+ * Maps device's gamma and beta angles to the screen's horizontal and vertical axes.
+ *
+ * @private
+ * @param {number} gamma
+ * @param {number} beta
+ * @param {number} screenAngle
+ * @returns {{x: number, y: number}}
+ */
+function mapToScreen (gamma, beta, screenAngle) {
+  switch (screenAngle) {
+    case 90:
+      return { x: beta, y: -gamma };
+    case 180:
+      return { x: -gamma, y: -beta };
+    case 270:
+      return { x: -beta, y: gamma };
+    default:
+      return { x: gamma, y: beta };
+  }
+}
+
+/**
+ * @class ManualSource
+ * @desc An input source that's driven by calling push(), e.g. from tests, keyboard, gamepad, or another library.
+ * @param {{normalized: boolean, rect: {width: number, height: number}}} [options] whether pushed coordinates are
+ * normalized between 0 and 1, and the size of the input area in pixels, so a Pointer doesn't measure the viewport.
+ *
+ * @example
+ * import { Pointer, ManualSource } from 'kuliso';
+ *
+ * const source = new ManualSource({ normalized: true });
+ * const pointer = new Pointer({ source, scenes: [...] });
+ *
+ * pointer.start();
+ * source.push({ x: 0.5, y: 0.25 });
+ */
+export class ManualSource {
+  constructor ({ normalized = false, rect } = {}) {
+    this.normalized = normalized;
+    this.rect = rect;
+
+    this._handlers = new Set();
+  }
+
+  /**
+   * Start sending input to a controller's handler.
+   *
+   * @param {function(input: SourceInput)} handler
+   */
+  connect (handler) {
+    this._handlers.add(handler);
+  }
+
+  /**
+   * Stop sending input to a controller's handler.
+   *
+   * @param {function(input: SourceInput)} handler
+   */
+  disconnect (handler) {
+    this._handlers.delete(handler);
+  }
+
+  /**
+   * Send input to all connected controllers.
+   *
+   * @param {SourceInput} input
+   */
+  push (input) {
+    this._handlers.forEach(handler => handler(input));
+  }
+}
+
+/**
+ * @class PointerSource
+ * @desc The default input source of a Pointer, that reads pointer events on root, or the viewport, and on eventSource.
+ * Listens to press and release events only with multiTouch or drag, and to enter and leave events only with allowActiveEvent.
+ * @private
+ * @param {PointerConfig} config
+ */
+export class PointerSource {
+  constructor (config) {
+    this.config = config;
+
+    this._handlers = new Set();
+
+    const emit = (event, x, y) => {
+      const input = {
+        type: event.type,
+        x,
+        y,
+        pointerId: event.pointerId,
+        pointerType: event.pointerType,
+        button: event.button,
+        time: event.timeStamp
+      };
+
+      this._handlers.forEach(handler => handler(input));
+    };
+
+    this._pointerEvent = (event) => {
+      emit(event);
+    };
+
+    const root = this.config.root;
+
+    if (!root) {
+      this._measure = (event) => {
+        emit(event, event.x, event.y);
+      };
+
+      return;
+    }
+
+    shouldFixSynthPointer = typeof shouldFixSynthPointer === 'boolean' ? shouldFixSynthPointer : testPointerOffsetDprBug();
+    const DPR = shouldFixSynthPointer ? window.devicePixelRatio : 1;
+
+    if (typeof scrollOffsets.fixRequired === 'undefined') {
+      testScrollOffsetsForWebKitPointerBug(scrollOffsets);
+    }
+
+    this._measure = (e) => {
+      if (e.target === root) {
+        emit(e, e.offsetX, e.offsetY);
+      }
+      else if (e.type !== 'pointermove') {
+        // read offsets from root's rect, so the event keeps propagating to delegated handlers
+        const rect = root.getBoundingClientRect();
+
+        emit(e, e.clientX - rect.left - root.clientLeft, e.clientY - rect.top - root.clientTop);
+      }
+      else {
+        const event = new PointerEvent(e.type, {
+          bubbles: true,
+          cancelable: true,
+          clientX: e.x * DPR + scrollOffsets.x,
+          clientY: e.y * DPR + scrollOffsets.y,
+          pointerId: e.pointerId,
+          pointerType: e.pointerType,
+          button: e.button
+        });
+
+        e.stopPropagation();
+
+        root.dispatchEvent(event);
+      }
+    };
+  }
+
+  /**
+   * Start sending input to a controller's handler.
+   * Listens to pointer events while any handler is connected.
+   *
+   * @param {function(input: SourceInput)} handler
+   */
+  connect (handler) {
+    if (!this._handlers.size) {
+      this._toggleEvents('addEventListener');
+    }
+
+    this._handlers.add(handler);
+  }
+
+  /**
+   * Stop sending input to a controller's handler.
+   *
+   * @param {function(input: SourceInput)} handler
+   */
+  disconnect (handler) {
+    if (this._handlers.delete(handler) && !this._handlers.size) {
+      this._toggleEvents('removeEventListener');
+    }
+  }
+
+  /**
+   * Add or remove the listeners of all pointer events the config requires.
+   *
+   * @private
+   * @param {'addEventListener'|'removeEventListener'} method
+   */
+  _toggleEvents (method) {
+    const targets = [this.config.root || window, this.config.eventSource].filter(Boolean);
+    const listeners = [['pointermove', this._measure]];
+
+    if (this.config.multiTouch || this.config.drag) {
+      listeners.push(
+        ['pointerdown', this._measure],
+        ['pointerup', this._pointerEvent],
+        ['pointercancel', this._pointerEvent]
+      );
+    }
+
+    if (this.config.multiTouch || this.config.drag || this.config.allowActiveEvent) {
+      listeners.push(['pointerleave', this._pointerEvent]);
+    }
+
+    if (this.config.allowActiveEvent) {
+      listeners.push(['pointerenter', this._pointerEvent]);
+    }
+
+    targets.forEach((target) => {
+      listeners.forEach(([type, listener]) => target[method](type, listener, {passive: true}));
+    });
+  }
+}
+
+/**
+ * @class OrientationSource
+ * @desc The default input source of a Gyro, that reads deviceorientation events, mapped to the screen's axes,
+ * devicemotion events with useRotationRate, and changes of the screen's orientation unless ignoreScreenOrientation is set.
+ * @private
+ * @param {GyroConfig} config
+ */
+export class OrientationSource {
+  constructor (config) {
+    this.config = config;
+
+    this._handlers = new Set();
+    this._screenAngle = 0;
+
+    const emit = (input) => {
+      this._handlers.forEach(handler => handler(input));
+    };
+
+    this._orientation = (event) => {
+      if (event.gamma === null || event.beta === null) {
+        return;
+      }
+
+      emit({
+        type: 'deviceorientation',
+        ...mapToScreen(event.gamma, event.beta, this._screenAngle),
+        time: event.timeStamp
+      });
+    };
+
+    this._motion = (event) => {
+      const rate = event.rotationRate;
+
+      emit({
+        type: 'devicemotion',
+        rotationRate: rate && rate.gamma !== null && rate.beta !== null
+          ? mapToScreen(rate.gamma, rate.beta, this._screenAngle)
+          : null,
+        time: event.timeStamp
+      });
+    };
+
+    this._orientationChange = () => {
+      this._screenAngle = getScreenAngle();
+      emit({ type: 'orientationchange' });
+    };
+  }
+
+  /**
+   * Start sending input to a controller's handler.
+   * Listens to device events while any handler is connected.
+   *
+   * @param {function(input: SourceInput)} handler
+   */
+  connect (handler) {
+    if (!this._handlers.size) {
+      this._addEvents();
+    }
+
+    this._handlers.add(handler);
+  }
+
+  /**
+   * Stop sending input to a controller's handler.
+   *
+   * @param {function(input: SourceInput)} handler
+   */
+  disconnect (handler) {
+    if (this._handlers.delete(handler) && !this._handlers.size) {
+      this._removeEvents();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _addEvents () {
+    window.addEventListener('deviceorientation', this._orientation, {passive: true});
+
+    if (!this.config.ignoreScreenOrientation) {
+      this._screenAngle = getScreenAngle();
+
+      if (window.screen?.orientation) {
+        window.screen.orientation.addEventListener('change', this._orientationChange);
+      }
+      else {
+        window.addEventListener('orientationchange', this._orientationChange);
+      }
+    }
+
+    if (this.config.useRotationRate) {
+      window.addEventListener('devicemotion', this._motion, {passive: true});
+    }
+  }
+
+  /**
+   * @private
+   */
+  _removeEvents () {
+    window.removeEventListener('deviceorientation', this._orientation);
+    window.removeEventListener('devicemotion', this._motion);
+    window.screen?.orientation?.removeEventListener('change', this._orientationChange);
+    window.removeEventListener('orientationchange', this._orientationChange);
+  }
+}
+
+/**
+ * @typedef {object} InputSource
+ * @desc An object that drives a Pointer or a Gyro instead of their DOM events.
+ * Controllers connect their handler on start() and disconnect it on pause(). By default they use a source of their DOM events.
+ * @property {function(handler: function(input: SourceInput))} connect start sending input to a controller's handler.
+ * @property {function(handler: function(input: SourceInput))} disconnect stop sending input to a controller's handler.
+ * @property {boolean} [normalized] whether x and y are normalized between 0 and 1. Otherwise they are pixels of root for Pointer, or angles in degrees for Gyro.
+ * @property {{width: number, height: number}} [rect] size of the input area in pixels, instead of measuring root or the viewport.
+ */
+
+/**
+ * @typedef {object} SourceInput
+ * @property {string} [type] type of input, one of the pointer event types for Pointer, or deviceorientation, devicemotion or orientationchange for Gyro.
+ * Defaults to pointermove for Pointer and deviceorientation for Gyro.
+ * @property {number} [x] horizontal position, for move, press and orientation input.
+ * @property {number} [y] vertical position, for move, press and orientation input.
+ * @property {number} [pointerId] for Pointer with multiTouch or drag.
+ * @property {string} [pointerType] for Pointer with multiTouch or drag.
+ * @property {number} [button] for Pointer with drag.
+ * @property {boolean} [active] whether the input is active, for Pointer.
+ * @property {{x: number, y: number}} [rotationRate] rotation rate in degrees per second on the screen's axes, for devicemotion input of Gyro.
+ * @property {number} [time] time of the input in milliseconds, for Gyro's velocity. Defaults to now.
+ */
@@ -0,0 +1,190 @@
+import { frameThrottle, springStep } from './utilities.js';
+
+const MOVEMENT_RESET_DELAY = 1e3 / 60 * 3; // == 50 (3 frames in 60fps)
+const SPRING_DEFAULTS = {
+  stiffness: 170,
+  damping: 26,
+  mass: 1
+};
+
+/**
+ * Whether a progress property should be copied as is instead of being interpolated.
+ *
+ * @private
+ * @param {string} key
+ * @param {*} value
+ * @return {boolean}
+ */
+function isDiscrete (key, value) {
+  return typeof value !== 'number' || key === 'button';
+}
+
+/**
+ * Returns a function that triggers an update of the controller's effect,
+ * either directly, by a timed transition, or by a spring, according to the controller's config.
+ *
+ * @private
+ * @param {Pointer|Gyro} controller
+ * @return {function(): number} a function that triggers the update and returns the requestAnimationFrame id, if any
+ */
+export function getTrigger (controller) {
+  const config = controller.config;
+
+  if (config.spring) {
+    // spring runs its own frame loop
+    return () => controller.spring();
+  }
+
+  if (config.transitionDuration) {
+    return config.noThrottle
+      ? () => controller.transition()
+      : frameThrottle(() => controller.transition());
+  }
+
+  return config.noThrottle
+    ? () => {
+      controller.tick();
+      return null;
+    }
+    : frameThrottle(() => {
+      controller.tick();
+    });
+}
+
+/**
+ * Starts a transition of the controller from the previous progress to the current progress.
+ *
+ * @private
+ * @param {Pointer|Gyro} controller
+ * @returns {number} the requestAnimationFrame id for the transition tick.
+ */
+export function startTransition (controller) {
+  const duration = controller.config.transitionDuration;
+  const easing = controller.config.transitionEasing || ((p) => p);
+  const now = performance.now();
+  let resetMovement = false;
+
+  const tick = (time) => {
+    const p = (time - controller._startTime) / duration;
+    const t = easing(Math.min(1, p));
+
+    if (resetMovement) {
+      controller.progress.vx = 0;
+      controller.progress.vy = 0;
+      resetMovement = false;
+    }
+
+    controller.currentProgress = Object.entries(controller.progress).reduce((acc, [key, value]) => {
+      if (isDiscrete(key, value)) {
+        acc[key] = value;
+      } else {
+        acc[key] = controller.previousProgress[key] + (value - controller.previousProgress[key]) * t;
+      }
+      return acc;
+    }, controller.currentProgress || {});
+
+    if (p < 1) {
+      controller._nextTransitionTick = requestAnimationFrame(tick);
+
+      // reset movement on next frame
+      resetMovement = time - controller._startTime > MOVEMENT_RESET_DELAY;
+    }
+
+    controller.effect.tick(controller.currentProgress);
+
+    if (p >= 1) {
+      controller.emit('transitionend');
+    }
+  };
+
+  if (controller._startTime) {
+    controller._nextTransitionTick && cancelAnimationFrame(controller._nextTransitionTick);
+
+    Object.assign(controller.previousProgress, controller.currentProgress);
+
+    controller._startTime = now;
+
+    tick(now);
+  } else {
+    controller._startTime = now;
+  }
+
+  return controller._nextTransitionTick;
+}
+
+/**
+ * Starts, or keeps running, a spring simulation of the controller from the current progress towards the progress.
+ * New input only moves the spring's target, so momentum is kept.
+ *
+ * @private
+ * @param {Pointer|Gyro} controller
+ * @param {number} precision default distance and velocity below which the spring is settled, in progress units.
+ * @returns {number} the requestAnimationFrame id for the spring tick.
+ */
+export function startSpring (controller, precision) {
+  const config = {
+    ...SPRING_DEFAULTS,
+    precision,
+    ...(typeof controller.config.spring === 'object' ? controller.config.spring : {})
+  };
+
+  controller._startTime = performance.now();
+
+  if (controller._nextTransitionTick) {
+    // already running
+    return controller._nextTransitionTick;
+  }
+
+  controller.currentProgress = controller.currentProgress || { ...controller.previousProgress };
+  controller._springState = controller._springState || {};
+
+  let lastTime = controller._startTime;
+
+  const tick = (time) => {
+    const dt = Math.max(0, time - lastTime) / 1e3;
+    let settled = true;
+
+    lastTime = time;
+
+    if (time - controller._startTime > MOVEMENT_RESET_DELAY) {
+      controller.progress.vx = 0;
+      controller.progress.vy = 0;
+    }
+
+    Object.entries(controller.progress).forEach(([key, value]) => {
+      if (isDiscrete(key, value)) {
+        controller.currentProgress[key] = value;
+        return;
+      }
+
+      const state = controller._springState[key] || (controller._springState[key] = {
+        position: controller.currentProgress[key] ?? value,
+        velocity: 0
+      });
+
+      springStep(state, value, dt, config);
+
+      if (Math.abs(state.velocity) < config.precision && Math.abs(value - state.position) < config.precision) {
+        state.position = value;
+        state.velocity = 0;
+      }
+      else {
+        settled = false;
+      }
+
+      controller.currentProgress[key] = state.position;
+    });
+
+    controller._nextTransitionTick = settled ? null : requestAnimationFrame(tick);
+
+    controller.effect.tick(controller.currentProgress);
+
+    if (settled) {
+      controller.emit('transitionend');
+    }
+  };
+
+  controller._nextTransitionTick = requestAnimationFrame(tick);
+
+  return controller._nextTransitionTick;
+}
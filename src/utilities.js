@@ -1,3 +1,5 @@
+const SPRING_MAX_STEP = 1 / 240;
+
 /**
  * Clamps a value between limits.
  *
@@ -38,6 +40,31 @@ function frameThrottle (fn) {
   };
 }
 
+/**
+ * Advances a damped spring by a given time delta.
+ * Uses semi-implicit Euler integration in fixed sub-steps to keep stiff springs stable.
+ *
+ * @private
+ * @param {{position: number, velocity: number}} state spring state to update in place
+ * @param {number} target position the spring is pulled towards
+ * @param {number} dt time delta in seconds
+ * @param {{stiffness: number, damping: number, mass: number}} config spring parameters
+ * @return {{position: number, velocity: number}} the updated state
+ */
+function springStep (state, target, dt, { stiffness, damping, mass }) {
+  const steps = Math.ceil(dt / SPRING_MAX_STEP);
+  const step = dt / steps;
+
+  for (let i = 0; i < steps; i++) {
+    const acceleration = (stiffness * (target - state.position) - damping * state.velocity) / mass;
+
+    state.velocity += acceleration * step;
+    state.position += state.velocity * step;
+  }
+
+  return state;
+}
+
 /**
  * Returns an object containing the layout properties (left, top, width, and height) of the given element.
  *
@@ -66,6 +93,34 @@ function getRect (element) {
   };
 }
 
+/**
+ * Returns the scrollable ancestors of the given element, from nearest to farthest, excluding the document.
+ *
+ * @private
+ * @param {HTMLElement} element
+ * @returns {HTMLElement[]}
+ */
+function getScrollContainers (element) {
+  const containers = [];
+  let el = element.parentElement;
+
+  if (typeof window.getComputedStyle !== 'function') {
+    return containers;
+  }
+
+  while (el && el !== document.body && el !== document.documentElement) {
+    const { overflowX, overflowY } = window.getComputedStyle(el);
+
+    if (/auto|scroll|overlay/.test(overflowX + overflowY)) {
+      containers.push(el);
+    }
+
+    el = el.parentElement;
+  }
+
+  return containers;
+}
+
 /**
  * @see https://issues.chromium.org/issues/40887601?pli=1
  */
@@ -148,8 +203,10 @@ function testScrollOffsetsForWebKitPointerBug (scrollOffsets) {
 
 export {
   getRect,
+  getScrollContainers,
   clamp,
   frameThrottle,
+  springStep,
   testPointerOffsetDprBug,
   testScrollOffsetsForWebKitPointerBug
 };
@@ -1,13 +1,15 @@
 import test from 'ava';
 import { Gyro } from '../src/Gyro.js';
 
-let orientationHandler;
+let orientationHandler, motionHandler;
 
 test.beforeEach(() => {
   global.window = {
     addEventListener (type, handler) {
       if (type === 'deviceorientation') {
         orientationHandler = handler;
+      } else if (type === 'devicemotion') {
+        motionHandler = handler;
       }
     },
     removeEventListener () {},
@@ -92,3 +94,501 @@ test('Gyro.tick() :: sanity test', t => {
   t.is(x, +((10 + 15) / (15 * 2)).toPrecision(4));
   t.is(y, +((-10 + 15) / (15 * 2)).toPrecision(4));
 });
+
+test('Gyro.tick() :: velocity from successive samples', t => {
+  let velocity;
+  const gyro = new Gyro({
+    samples: 0,
+    scenes: [
+      {
+        effect(scene, progress, v) {
+          velocity = v;
+        }
+      }
+    ]
+  });
+
+  gyro.start();
+
+  orientationHandler({gamma: 0, beta: 0, timeStamp: 1000});
+  orientationHandler({gamma: 3, beta: -6, timeStamp: 1100});
+
+  gyro.tick();
+
+  t.is(velocity.angularX, 30);
+  t.is(velocity.angularY, -60);
+  t.is(velocity.x, 1);
+  t.is(velocity.y, -2);
+});
+
+test('Gyro.tick() :: useRotationRate=true :: velocity from devicemotion', t => {
+  let velocity;
+  const gyro = new Gyro({
+    samples: 0,
+    useRotationRate: true,
+    scenes: [
+      {
+        effect(scene, progress, v) {
+          velocity = v;
+        }
+      }
+    ]
+  });
+
+  gyro.start();
+
+  motionHandler({rotationRate: {alpha: 0, beta: 15, gamma: -45}});
+  orientationHandler({gamma: 0, beta: 0, timeStamp: 1000});
+
+  gyro.tick();
+
+  t.is(velocity.angularX, -45);
+  t.is(velocity.angularY, 15);
+  t.is(velocity.x, -1.5);
+  t.is(velocity.y, 0.5);
+});
+
+test('Gyro.requestPermission() :: unsupported', async t => {
+  const gyro = new Gyro({
+    scenes: [
+      { effect: () => {} }
+    ]
+  });
+
+  t.is(await gyro.requestPermission(), 'unsupported');
+  t.is(gyro.permission, 'unsupported');
+});
+
+test('Gyro.requestPermission() :: granted without prompt', async t => {
+  global.window.DeviceOrientationEvent = class {};
+
+  const gyro = new Gyro({
+    scenes: [
+      { effect: () => {} }
+    ]
+  });
+
+  t.is(await gyro.requestPermission(), 'granted');
+});
+
+test('Gyro.requestPermission() :: denied :: call scenes fallback', async t => {
+  let fallback = null;
+  global.window.DeviceOrientationEvent = class {
+    static requestPermission () {
+      return Promise.resolve('denied');
+    }
+  };
+
+  const scene = {
+    effect: () => {},
+    fallback (s) { fallback = s; }
+  };
+  const gyro = new Gyro({
+    scenes: [scene]
+  });
+
+  t.is(await gyro.requestPermission(), 'denied');
+  t.is(fallback, scene);
+});
+
+test('Gyro.requestPermission() :: rejected outside user gesture :: denied', async t => {
+  global.window.DeviceOrientationEvent = class {
+    static requestPermission () {
+      return Promise.reject(new Error('NotAllowedError'));
+    }
+  };
+
+  const gyro = new Gyro({
+    scenes: [
+      { effect: () => {} }
+    ]
+  });
+
+  t.is(await gyro.requestPermission(), 'denied');
+});
+
+test('Gyro.recalibrate() :: center progress on current orientation', t => {
+  let x = 0;
+  let y = 0;
+  const gyro = new Gyro({
+    samples: 0,
+    scenes: [
+      {
+        effect(scene, progress) {
+          x = progress.x;
+          y = progress.y;
+        }
+      }
+    ]
+  });
+
+  gyro.start();
+
+  orientationHandler({gamma: 10, beta: 40});
+  gyro.tick();
+
+  t.is(x, +(25 / 30).toPrecision(4));
+  t.is(y, 1);
+
+  gyro.recalibrate();
+
+  orientationHandler({gamma: 10, beta: 40});
+  gyro.tick();
+
+  t.is(x, 0.5);
+  t.is(y, 0.5);
+
+  orientationHandler({gamma: 13, beta: 37});
+  gyro.tick();
+
+  t.is(x, 0.6);
+  t.is(y, 0.4);
+});
+
+test('Gyro._measure() :: recenterDuration :: drift neutral angles toward current orientation', t => {
+  let x = 0;
+  const gyro = new Gyro({
+    samples: 1,
+    recenterDuration: 1000,
+    scenes: [
+      {
+        effect(scene, progress) {
+          x = progress.x;
+        }
+      }
+    ]
+  });
+
+  gyro.start();
+
+  orientationHandler({gamma: 0, beta: 0, timeStamp: 0});
+  orientationHandler({gamma: 15, beta: 0, timeStamp: 1});
+  gyro.tick();
+
+  const initial = x;
+
+  for (let time = 100; time <= 10000; time += 100) {
+    orientationHandler({gamma: 15, beta: 0, timeStamp: time});
+  }
+  gyro.tick();
+
+  t.true(initial > 0.99);
+  t.is(x, 0.5);
+});
+
+test('Gyro._measure() :: landscape :: map angles to screen axes and recalibrate on change', t => {
+  let x = 0;
+  let y = 0;
+  let orientationChangeHandler;
+
+  global.window.screen = {
+    orientation: {
+      angle: 90,
+      addEventListener (type, handler) {
+        orientationChangeHandler = handler;
+      },
+      removeEventListener () {}
+    }
+  };
+
+  const gyro = new Gyro({
+    samples: 0,
+    scenes: [
+      {
+        effect(scene, progress) {
+          x = progress.x;
+          y = progress.y;
+        }
+      }
+    ]
+  });
+
+  gyro.start();
+
+  orientationHandler({gamma: 6, beta: 3});
+  gyro.tick();
+
+  t.is(x, 0.6);
+  t.is(y, 0.3);
+
+  global.window.screen.orientation.angle = 270;
+  orientationChangeHandler();
+
+  orientationHandler({gamma: 6, beta: 3});
+  orientationHandler({gamma: 9, beta: 0});
+  gyro.tick();
+
+  t.is(x, 0.6);
+  t.is(y, 0.6);
+});
+
+test('Gyro._measure() :: ignoreScreenOrientation=true :: keep gamma on x', t => {
+  let x = 0;
+
+  global.window.screen = {
+    orientation: {
+      angle: 90,
+      addEventListener () {},
+      removeEventListener () {}
+    }
+  };
+
+  const gyro = new Gyro({
+    samples: 0,
+    ignoreScreenOrientation: true,
+    scenes: [
+      {
+        effect(scene, progress) {
+          x = progress.x;
+        }
+      }
+    ]
+  });
+
+  gyro.start();
+
+  orientationHandler({gamma: 6, beta: 3});
+  gyro.tick();
+
+  t.is(x, 0.7);
+});
+
+test('Gyro._measure() :: smoothing=low-pass :: smooth out sensor noise', t => {
+  let x = 0;
+  const gyro = new Gyro({
+    samples: 0,
+    smoothing: {type: 'low-pass', factor: 0.5},
+    scenes: [
+      {
+        effect(scene, progress) {
+          x = progress.x;
+        }
+      }
+    ]
+  });
+
+  gyro.start();
+
+  orientationHandler({gamma: 0, beta: 0, timeStamp: 0});
+  orientationHandler({gamma: 6, beta: 0, timeStamp: 16});
+  gyro.tick();
+
+  t.is(x, 0.6);
+
+  orientationHandler({gamma: 6, beta: 0, timeStamp: 32});
+  gyro.tick();
+
+  t.is(x, 0.65);
+});
+
+test('Gyro._measure() :: smoothing=one-euro :: smooth slow movement', t => {
+  let x = 0;
+  const gyro = new Gyro({
+    samples: 0,
+    smoothing: {type: 'one-euro', minCutoff: 1, beta: 0},
+    scenes: [
+      {
+        effect(scene, progress) {
+          x = progress.x;
+        }
+      }
+    ]
+  });
+
+  gyro.start();
+
+  orientationHandler({gamma: 0, beta: 0, timeStamp: 0});
+  orientationHandler({gamma: 3, beta: 0, timeStamp: 16});
+  gyro.tick();
+
+  t.true(x > 0.5 && x < 0.6);
+});
+
+test('Gyro.transition() :: interpolate from previous progress', t => {
+  let x = 0;
+  const frames = [];
+  const now = performance.now;
+
+  // keep frame times exact
+  performance.now = () => 1000;
+  t.teardown(() => {
+    performance.now = now;
+  });
+
+  global.requestAnimationFrame = function (callback) {
+    frames.push(callback);
+    return frames.length;
+  };
+
+  const gyro = new Gyro({
+    samples: 0,
+    noThrottle: true,
+    transitionDuration: 100,
+    scenes: [
+      {
+        effect(scene, progress) {
+          x = progress.x;
+        }
+      }
+    ]
+  });
+
+  gyro.start();
+
+  orientationHandler({gamma: 0, beta: 0});
+  orientationHandler({gamma: 15, beta: 0});
+
+  const start = gyro._startTime;
+
+  frames.shift()(start + 50);
+
+  t.is(x, 0.75);
+
+  frames.shift()(start + 100);
+
+  t.is(x, 1);
+  t.is(frames.length, 0);
+});
+
+test('Gyro.transition() :: start first transition from the center', t => {
+  const xs = [];
+  const frames = [];
+  const now = performance.now;
+
+  performance.now = () => 1000;
+  t.teardown(() => {
+    performance.now = now;
+  });
+
+  global.requestAnimationFrame = function (callback) {
+    frames.push(callback);
+    return frames.length;
+  };
+
+  const gyro = new Gyro({
+    samples: 0,
+    noThrottle: true,
+    transitionDuration: 100,
+    scenes: [
+      {
+        effect(scene, progress) {
+          xs.push(progress.x);
+        }
+      }
+    ]
+  });
+
+  gyro.start();
+
+  orientationHandler({gamma: 0, beta: 0});
+  orientationHandler({gamma: 0, beta: 0});
+
+  const start = gyro._startTime;
+
+  frames.shift()(start + 50);
+  frames.shift()(start + 100);
+
+  t.deepEqual(xs, [0.5, 0.5, 0.5]);
+});
+
+test('Gyro.tick() :: curve :: apply curve to progress', t => {
+  let x = 0;
+  const gyro = new Gyro({
+    samples: 0,
+    scenes: [
+      {
+        curve: {x: 'cubic-bezier(0, 0, 1, 1)'},
+        effect(scene, progress) {
+          x = progress.x;
+        }
+      },
+      {
+        curve: [[0, 1], [1, 0]],
+        effect(scene, progress) {
+          t.is(progress.x, 0.4);
+        }
+      }
+    ]
+  });
+
+  gyro.start();
+
+  orientationHandler({gamma: 3, beta: 0});
+  gyro.tick();
+
+  t.is(x, 0.6);
+});
+
+test('Gyro.addScene() / removeScene() :: manage scenes on running effect', t => {
+  let x = 0;
+  let destroyed = false;
+  let calls = 0;
+  const other = { effect() { calls += 1; } };
+  const gyro = new Gyro({
+    samples: 0,
+    scenes: [other]
+  });
+
+  gyro.start();
+
+  orientationHandler({gamma: 15, beta: 0});
+  gyro.tick();
+
+  const scene = {
+    curve: [[0, 0], [1, 0.5]],
+    effect(scene, progress) {
+      x = progress.x;
+    },
+    destroy() { destroyed = true; }
+  };
+
+  gyro.addScene(scene);
+
+  t.is(x, 0.5);
+  t.is(calls, 1);
+
+  gyro.removeScene(scene);
+
+  t.is(destroyed, true);
+  t.is(scene.curves, undefined);
+  t.deepEqual(gyro.config.scenes, [other]);
+
+  gyro.tick();
+
+  t.is(calls, 2);
+});
+
+test('Gyro.on() :: emit calibrate, permission and transitionend events', async t => {
+  const events = [];
+  let frame;
+  const gyro = new Gyro({
+    samples: 2,
+    noThrottle: true,
+    transitionDuration: 100,
+    scenes: [
+      { effect() {} }
+    ]
+  });
+
+  global.window.DeviceOrientationEvent = class {};
+  global.requestAnimationFrame = (callback) => {
+    frame = callback;
+    return 1;
+  };
+
+  gyro.on('calibrate', event => events.push([event.type, event.x, event.y]));
+  gyro.on('permission', event => events.push([event.type, event.state]));
+  gyro.on('transitionend', event => events.push([event.type]));
+
+  await gyro.requestPermission();
+
+  gyro.start();
+
+  orientationHandler({gamma: 4, beta: 2, timeStamp: 0});
+  orientationHandler({gamma: 8, beta: 6, timeStamp: 16});
+  frame(performance.now() + 100);
+
+  t.deepEqual(events, [['permission', 'granted'], ['calibrate', 6, 4], ['transitionend']]);
+
+  delete global.window.DeviceOrientationEvent;
+});
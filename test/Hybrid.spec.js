@@ -0,0 +1,295 @@
+import test from 'ava';
+import { Hybrid } from '../src/Hybrid.js';
+import { Pointer } from '../src/Pointer.js';
+import { Gyro } from '../src/Gyro.js';
+
+let handlers;
+
+test.beforeEach(() => {
+  handlers = {};
+
+  global.window = {
+    document: {
+      documentElement: {
+        clientWidth: 400,
+        clientHeight: 200
+      }
+    },
+    matchMedia () {
+      return { matches: false };
+    },
+    addEventListener (type, handler) {
+      handlers[type] = handlers[type] || new Set();
+      handlers[type].add(handler);
+    },
+    removeEventListener (type, handler) {
+      handlers[type]?.delete(handler);
+    },
+    requestAnimationFrame () {}
+  };
+  global.document = {
+    addEventListener () {},
+    removeEventListener () {}
+  };
+});
+
+function dispatch (type, event) {
+  handlers[type]?.forEach(handler => handler(event));
+}
+
+test('Hybrid.start() :: mode=auto :: Pointer on hover-capable devices', t => {
+  global.window.matchMedia = () => ({ matches: true });
+  global.window.DeviceOrientationEvent = class {};
+
+  const hybrid = new Hybrid({
+    scenes: [
+      { effect: () => {} }
+    ]
+  });
+
+  hybrid.start();
+
+  t.is(hybrid.mode, 'pointer');
+  t.true(hybrid.controller instanceof Pointer);
+
+  hybrid.destroy();
+});
+
+test('Hybrid.start() :: mode=auto :: Gyro on devices without hover', async t => {
+  global.window.DeviceOrientationEvent = class {};
+
+  let x = null;
+  const hybrid = new Hybrid({
+    gyro: { samples: 0 },
+    scenes: [
+      {
+        effect (scene, progress) {
+          x = progress.x;
+        }
+      }
+    ]
+  });
+
+  hybrid.start();
+  dispatch('deviceorientation', { gamma: 15, beta: 0 });
+
+  await Promise.resolve();
+
+  t.is(hybrid.mode, 'gyro');
+  t.true(hybrid.controller instanceof Gyro);
+
+  hybrid.controller.tick();
+
+  t.is(x, 1);
+
+  hybrid.destroy();
+});
+
+test('Hybrid.start() :: mode=gyro :: fall back to Pointer when permission is denied', async t => {
+  global.window.DeviceOrientationEvent = class {
+    static requestPermission () {
+      return Promise.resolve('denied');
+    }
+  };
+
+  let destroyed = 0;
+  const hybrid = new Hybrid({
+    mode: 'gyro',
+    scenes: [
+      {
+        effect () {},
+        destroy () { destroyed += 1; }
+      }
+    ]
+  });
+
+  hybrid.start();
+
+  t.is(hybrid.mode, 'gyro');
+
+  await new Promise(resolve => setTimeout(resolve));
+
+  t.is(hybrid.mode, 'pointer');
+  t.true(hybrid.controller instanceof Pointer);
+  t.is(destroyed, 0);
+
+  hybrid.destroy();
+
+  t.is(destroyed, 1);
+});
+
+test('Hybrid.start() :: mode=gyro :: fall back to Pointer when no orientation events arrive', async t => {
+  global.window.DeviceOrientationEvent = class {};
+
+  const hybrid = new Hybrid({
+    mode: 'gyro',
+    gyroTimeout: 10,
+    scenes: [
+      { effect: () => {} }
+    ]
+  });
+
+  hybrid.start();
+  dispatch('deviceorientation', { gamma: null, beta: null });
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  t.is(hybrid.mode, 'pointer');
+
+  hybrid.destroy();
+});
+
+test('Hybrid.start() :: mode=gyro :: wait for permission before waiting for orientation events', async t => {
+  let grant;
+
+  global.window.DeviceOrientationEvent = class {
+    static requestPermission () {
+      return new Promise((resolve) => {
+        grant = () => resolve('granted');
+      });
+    }
+  };
+
+  const hybrid = new Hybrid({
+    mode: 'gyro',
+    gyroTimeout: 10,
+    scenes: [
+      { effect: () => {} }
+    ]
+  });
+
+  hybrid.start();
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  t.is(hybrid.mode, 'gyro');
+
+  grant();
+  await new Promise(resolve => setTimeout(resolve));
+  dispatch('deviceorientation', { gamma: 15, beta: 0 });
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  t.is(hybrid.mode, 'gyro');
+  t.true(hybrid.controller instanceof Gyro);
+
+  hybrid.destroy();
+});
+
+test('Hybrid.start() :: mode=pointer :: force Pointer', t => {
+  global.window.DeviceOrientationEvent = class {};
+
+  const hybrid = new Hybrid({
+    mode: 'pointer',
+    scenes: [
+      { effect: () => {} }
+    ]
+  });
+
+  hybrid.start();
+
+  t.is(hybrid.mode, 'pointer');
+
+  hybrid.destroy();
+
+  t.is(hybrid.controller, null);
+});
+
+test('Hybrid.addScene() :: keep scene added before switching from Gyro to Pointer', t => {
+  global.window.DeviceOrientationEvent = class {};
+
+  let x = null;
+  let destroyed = 0;
+  const hybrid = new Hybrid({
+    mode: 'gyro',
+    scenes: []
+  });
+
+  hybrid.start();
+  hybrid.addScene({
+    effect (scene, progress) {
+      x = progress.x;
+    },
+    destroy () { destroyed += 1; }
+  });
+
+  t.is(hybrid.controller.config.scenes.length, 1);
+
+  hybrid.setMode('pointer');
+
+  t.is(destroyed, 0);
+  t.is(hybrid.controller.config.scenes.length, 1);
+
+  hybrid.controller.progress.x = 100;
+  hybrid.controller.tick();
+
+  t.is(x, 0.25);
+
+  hybrid.destroy();
+
+  t.is(destroyed, 1);
+});
+
+test('Hybrid.removeScene() :: remove scene from current controller and destroy it', t => {
+  const calls = [];
+  const destroyed = [];
+  const first = {
+    effect () { calls.push('first'); },
+    destroy () { destroyed.push('first'); }
+  };
+  const second = {
+    effect () { calls.push('second'); },
+    destroy () { destroyed.push('second'); }
+  };
+  const hybrid = new Hybrid({
+    mode: 'pointer',
+    scenes: [first, second]
+  });
+
+  hybrid.start();
+  hybrid.removeScene(first);
+
+  t.deepEqual(hybrid.config.scenes, [second]);
+  t.deepEqual(destroyed, ['first']);
+
+  hybrid.controller.tick();
+
+  t.deepEqual(calls, ['second']);
+
+  hybrid.removeScene(first);
+
+  t.deepEqual(destroyed, ['first']);
+
+  hybrid.destroy();
+
+  t.deepEqual(destroyed, ['first', 'second']);
+});
+
+test('Hybrid.updateScene() :: replace scene in place on current controller', t => {
+  const calls = [];
+  const destroyed = [];
+  const first = {
+    effect () { calls.push('first'); },
+    destroy () { destroyed.push('first'); }
+  };
+  const second = { effect () { calls.push('second'); } };
+  const third = { effect () { calls.push('third'); } };
+  const hybrid = new Hybrid({
+    mode: 'pointer',
+    scenes: [first, second]
+  });
+
+  hybrid.start();
+  hybrid.updateScene(first, third);
+
+  t.deepEqual(hybrid.config.scenes, [third, second]);
+  t.deepEqual(destroyed, ['first']);
+  t.deepEqual(hybrid.controller.config.scenes.map(Object.getPrototypeOf), [third, second]);
+
+  calls.length = 0;
+  hybrid.controller.tick();
+
+  t.deepEqual(calls, ['third', 'second']);
+
+  hybrid.destroy();
+});
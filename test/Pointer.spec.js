@@ -9,6 +9,7 @@ class ResizeObserver {
     observe (element) {
         this.target = element;
     }
+    unobserve () {}
     disconnect () {}
     trigger ({width, height}) {
         this.target.offsetWidth = width;
@@ -329,4 +330,919 @@ test('Pointer.tick() :: centeredToTarget=true :: update on window.scrollend :: w
 
     t.is(x, 0.5);
     t.is(y, 250 / 400);
+
+    pointer.destroy();
+});
+
+test('Pointer._measure() :: multiTouch=true :: progress follows centroid of active pointers', t => {
+    let progress;
+    const pointer = new Pointer({
+        multiTouch: true,
+        noThrottle: true,
+        scenes: [
+            {
+                effect(scene, p) {
+                    progress = p;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer._measure({type: 'pointerdown', pointerId: 1, pointerType: 'touch', x: 100, y: 100});
+    pointer._measure({type: 'pointerdown', pointerId: 2, pointerType: 'touch', x: 300, y: 100});
+
+    t.is(progress.x, 0.5);
+    t.is(progress.y, 0.5);
+    t.is(progress.pointers.length, 2);
+    t.deepEqual(progress.pointers[0], {id: 1, x: 0.25, y: 0.5});
+    t.deepEqual(progress.pointers[1], {id: 2, x: 0.75, y: 0.5});
+    t.is(progress.spread, 200);
+    t.is(progress.rotation, 0);
+
+    pointer._measure({type: 'pointermove', pointerId: 2, pointerType: 'touch', x: 100, y: 200});
+
+    t.is(progress.x, 0.25);
+    t.is(progress.y, 0.75);
+    t.is(progress.spread, 100);
+    t.is(progress.rotation, 90);
+
+    pointer._pointerUp({type: 'pointerup', pointerId: 1, pointerType: 'touch'});
+
+    t.is(progress.pointers.length, 1);
+    t.is(progress.x, 0.25);
+    t.is(progress.y, 1);
+    t.is(progress.spread, 0);
+});
+
+test('Pointer._measure() :: multiTouch=true :: adding a pointer does not report velocity', t => {
+    let velocity;
+    const pointer = new Pointer({
+        multiTouch: true,
+        noThrottle: true,
+        scenes: [
+            {
+                effect(scene, p, v) {
+                    velocity = v;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer._measure({type: 'pointerdown', pointerId: 1, pointerType: 'touch', x: 100, y: 100});
+    pointer._measure({type: 'pointermove', pointerId: 1, pointerType: 'touch', x: 110, y: 100});
+
+    t.deepEqual(velocity, {x: 10, y: 0});
+
+    pointer._measure({type: 'pointerdown', pointerId: 2, pointerType: 'touch', x: 300, y: 100});
+
+    t.deepEqual(velocity, {x: 0, y: 0});
+});
+
+test('Pointer._measure() :: drag=true :: track press state and drag offsets', t => {
+    let progress;
+    const pointer = new Pointer({
+        drag: true,
+        noThrottle: true,
+        scenes: [
+            {
+                effect(scene, p) {
+                    progress = p;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer._measure({type: 'pointermove', pointerId: 1, pointerType: 'mouse', x: 100, y: 100});
+
+    t.is(progress.pressed, false);
+    t.is(progress.button, -1);
+    t.deepEqual(progress.drag, {x: 0, y: 0});
+
+    pointer._measure({type: 'pointerdown', pointerId: 1, pointerType: 'mouse', button: 0, x: 100, y: 100});
+    pointer._measure({type: 'pointermove', pointerId: 1, pointerType: 'mouse', x: 200, y: 150});
+
+    t.is(progress.pressed, true);
+    t.is(progress.button, 0);
+    t.deepEqual(progress.drag, {x: 0.25, y: 0.25});
+    t.deepEqual(progress.offset, {x: 0.25, y: 0.25});
+
+    pointer._pointerUp({type: 'pointerup', pointerId: 1, pointerType: 'mouse'});
+
+    t.is(progress.pressed, false);
+    t.is(progress.button, -1);
+    t.deepEqual(progress.drag, {x: 0, y: 0});
+    t.deepEqual(progress.offset, {x: 0.25, y: 0.25});
+
+    pointer._measure({type: 'pointerdown', pointerId: 1, pointerType: 'mouse', button: 2, x: 200, y: 150});
+    pointer._measure({type: 'pointermove', pointerId: 1, pointerType: 'mouse', x: 100, y: 150});
+
+    t.is(progress.button, 2);
+    t.deepEqual(progress.drag, {x: -0.25, y: 0});
+    t.deepEqual(progress.offset, {x: 0, y: 0.25});
+});
+
+test('Pointer._measure() :: drag=true, pointerCapture=true :: capture pointer on root', t => {
+    const captured = new Set();
+    const root = generateElement({width: 100, height: 100});
+    root.setPointerCapture = (id) => captured.add(id);
+    root.hasPointerCapture = (id) => captured.has(id);
+    root.releasePointerCapture = (id) => captured.delete(id);
+
+    const pointer = new Pointer({
+        root,
+        drag: true,
+        pointerCapture: true,
+        noThrottle: true,
+        scenes: [
+            { effect() {} }
+        ]
+    });
+
+    pointer.start();
+    pointer._measure({type: 'pointerdown', pointerId: 3, pointerType: 'touch', button: 0, x: 10, y: 10});
+
+    t.true(captured.has(3));
+
+    pointer._pointerUp({type: 'pointerup', pointerId: 3, pointerType: 'touch'});
+
+    t.false(captured.has(3));
+    t.is(pointer.progress.pressed, false);
+});
+
+test('Pointer.spring() :: follow progress with momentum and settle', t => {
+    const frames = [];
+    let time;
+    let x = 0;
+
+    global.requestAnimationFrame = function (callback) {
+        frames.push(callback);
+        return frames.length;
+    };
+
+    function nextFrame () {
+        time += 1e3 / 60;
+        frames.shift()?.(time);
+    }
+
+    const pointer = new Pointer({
+        spring: {stiffness: 100, damping: 10},
+        scenes: [
+            {
+                effect(scene, progress) {
+                    x = progress.x;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer._measure({x: 400, y: 100});
+    time = performance.now();
+
+    nextFrame();
+    const first = x;
+
+    t.true(first > 0.5 && first < 1);
+
+    // new input while moving only moves the target, so motion continues in the same direction
+    pointer._measure({x: 0, y: 100});
+    nextFrame();
+
+    t.true(x > first);
+    t.is(frames.length, 1);
+
+    let count = 0;
+    while (frames.length && count < 1000) {
+        nextFrame();
+        count++;
+    }
+
+    t.is(frames.length, 0);
+    t.is(x, 0);
+});
+
+test('Pointer.tick() :: range :: map pixels and percentages of root', t => {
+    let x = 0;
+    let y = 0;
+    const pointer = new Pointer({
+        scenes: [
+            {
+                range: {
+                    x: {start: '25%', end: '75%'},
+                    y: {start: 50, end: 150}
+                },
+                effect(scene, progress) {
+                    x = progress.x;
+                    y = progress.y;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer.progress.x = 100;
+    pointer.progress.y = 50;
+    pointer.tick();
+
+    t.is(x, 0);
+    t.is(y, 0);
+
+    pointer.progress.x = 250;
+    pointer.progress.y = 125;
+    pointer.tick();
+
+    t.is(x, 0.75);
+    t.is(y, 0.75);
+
+    window.resize(800, 200);
+    pointer.tick();
+
+    t.is(x, 0.125);
+});
+
+test('Pointer.tick() :: range :: map between element edges :: update on window.scrollend', t => {
+    let y = 0;
+    const header = generateElement({width: 400, height: 50});
+    const footer = generateElement({width: 400, height: 50});
+    footer.offsetParent = {offsetLeft: 0, offsetTop: 0};
+    footer.offsetTop = 250;
+
+    const pointer = new Pointer({
+        scenes: [
+            {
+                range: {
+                    y: {start: {element: header, edge: 'end'}, end: {element: footer, edge: 'start'}}
+                },
+                effect(scene, progress) {
+                    y = progress.y;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer.progress.x = 100;
+    pointer.progress.y = 150;
+    pointer.tick();
+
+    t.is(y, 0.5);
+
+    global.window.scrollTo(0, 50);
+    pointer.tick();
+
+    t.is(y, 0.75);
+});
+
+test('Pointer.tick() :: curve :: apply per-axis curves', t => {
+    let x = 0;
+    let y = 0;
+    const pointer = new Pointer({
+        scenes: [
+            {
+                curve: {
+                    x: [[0, 0], [0.5, 1], [1, 0]],
+                    y: 'ease-in-out'
+                },
+                effect(scene, progress) {
+                    x = progress.x;
+                    y = progress.y;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer.progress.x = 100;
+    pointer.progress.y = 50;
+    pointer.tick();
+
+    t.is(x, 0.5);
+    t.is(y, 0.1292);
+
+    pointer.progress.x = 300;
+    pointer.progress.y = 100;
+    pointer.tick();
+
+    t.is(x, 0.5);
+    t.is(y, 0.5);
+});
+
+test('Pointer.tick() :: curve :: apply easing function and steps on both axes', t => {
+    let x = 0;
+    let y = 0;
+    const pointer = new Pointer({
+        scenes: [
+            {
+                curve: p => p * p,
+                effect(scene, progress) {
+                    x = progress.x;
+                    y = progress.y;
+                }
+            },
+            {
+                curve: 'steps(4)',
+                effect(scene, progress) {
+                    t.is(progress.x, 0.5);
+                    t.is(progress.y, 0.75);
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer.progress.x = 200;
+    pointer.progress.y = 150;
+    pointer.tick();
+
+    t.is(x, 0.25);
+    t.is(y, 0.5625);
+});
+
+test('Pointer.tick() :: polar=true :: angle, distance and radius relative to target center', t => {
+    let progress;
+    const target = generateElement({width: 100, height: 100});
+    target.offsetParent = {offsetLeft: 0, offsetTop: 0};
+    target.offsetLeft = 150;
+    target.offsetTop = 50;
+
+    const pointer = new Pointer({
+        scenes: [
+            {
+                target,
+                polar: true,
+                effect(scene, p) {
+                    progress = p;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer.progress.x = 300;
+    pointer.progress.y = 100;
+    pointer.tick();
+
+    t.is(progress.angle, 0);
+    t.is(progress.distance, 100);
+    t.is(progress.radius, +(100 / Math.hypot(200, 100)).toPrecision(4));
+
+    pointer.progress.x = 200;
+    pointer.progress.y = 200;
+    pointer.tick();
+
+    t.is(progress.angle, 90);
+    t.is(progress.distance, 100);
+
+    global.window.scrollTo(0, 50);
+    pointer.tick();
+
+    t.is(progress.angle, 90);
+    t.is(progress.distance, 150);
+
+    pointer.progress.x = 0;
+    pointer.progress.y = 50;
+    pointer.tick();
+
+    t.is(progress.angle, 180);
+    t.is(progress.radius, 200 / 250);
+});
+
+test('Pointer.tick() :: proximity :: react only within radius of target', t => {
+    const calls = [];
+    let progress;
+    const target = generateElement({width: 100, height: 100});
+    target.offsetParent = {offsetLeft: 0, offsetTop: 0};
+    target.offsetLeft = 150;
+    target.offsetTop = 50;
+
+    const pointer = new Pointer({
+        scenes: [
+            {
+                target,
+                proximity: 50,
+                enter () {
+                    calls.push('enter');
+                },
+                leave () {
+                    calls.push('leave');
+                },
+                effect(scene, p) {
+                    calls.push('effect');
+                    progress = p;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer.progress.x = 50;
+    pointer.progress.y = 100;
+    pointer.tick();
+
+    t.deepEqual(calls, []);
+
+    pointer.progress.x = 125;
+    pointer.tick();
+
+    t.deepEqual(calls, ['enter', 'effect']);
+    t.is(progress.proximity, 0.5);
+    t.is(progress.x, 0.125);
+    t.is(progress.y, 0.5);
+
+    pointer.progress.x = 200;
+    pointer.tick();
+
+    t.is(progress.proximity, 1);
+    t.is(progress.x, 0.5);
+
+    pointer.progress.x = 350;
+    pointer.tick();
+
+    t.deepEqual(calls, ['enter', 'effect', 'effect', 'effect', 'leave']);
+    t.is(progress.proximity, 0);
+
+    pointer.tick();
+
+    t.is(calls.length, 5);
+});
+
+test('Pointer.tick() :: centeredToTarget=true :: update on target layout change', t => {
+    let x = 0;
+    let y = 0;
+    const target = generateElement({width: 100, height: 100});
+    target.offsetParent = {offsetLeft: 0, offsetTop: 0};
+    target.offsetLeft = 0;
+    target.offsetTop = 0;
+
+    global.window.requestAnimationFrame = (callback) => callback();
+
+    const pointer = new Pointer({
+        scenes: [
+            {
+                target,
+                centeredToTarget: true,
+                effect(scene, progress) {
+                    x = progress.x;
+                    y = progress.y;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer.progress.x = 50;
+    pointer.progress.y = 50;
+    pointer.tick();
+
+    t.is(x, 0.5);
+    t.is(y, 0.5);
+
+    // a sibling is inserted above the target
+    target.offsetTop = 50;
+    global.resizeObserver.trigger({width: 100, height: 100});
+
+    t.is(x, 0.5);
+    t.is(y, 0.25);
+
+    target.offsetTop = 0;
+    pointer.refresh();
+
+    t.is(y, 0.5);
+});
+
+test('Pointer.refresh() :: centeredToTarget=true :: re-measure without update before input', t => {
+    let calls = 0;
+    let y = 0;
+    const target = generateElement({width: 100, height: 100});
+    target.offsetParent = {offsetLeft: 0, offsetTop: 0};
+    target.offsetLeft = 0;
+    target.offsetTop = 0;
+
+    global.window.requestAnimationFrame = (callback) => callback();
+
+    const pointer = new Pointer({
+        scenes: [
+            {
+                target,
+                centeredToTarget: true,
+                effect(scene, progress) {
+                    calls += 1;
+                    y = progress.y;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+
+    // initial observation of the target
+    target.offsetTop = 50;
+    global.resizeObserver.trigger({width: 100, height: 100});
+
+    t.is(calls, 0);
+
+    pointer.progress.x = 50;
+    pointer.progress.y = 50;
+    pointer.tick();
+
+    t.is(calls, 1);
+    t.is(y, 0.25);
+});
+
+test('Pointer.removeScene() :: centeredToTarget=true :: stop observing parent of detached target', t => {
+    const unobserved = [];
+    const parent = generateElement({width: 400, height: 200});
+    const target = generateElement({width: 100, height: 100});
+    target.parentElement = parent;
+
+    const scene = { target, centeredToTarget: true, effect() {} };
+    const pointer = new Pointer({
+        scenes: [scene]
+    });
+
+    pointer.start();
+    global.resizeObserver.unobserve = (element) => unobserved.push(element);
+
+    // target is removed from the document before its scene
+    target.parentElement = null;
+    pointer.removeScene(scene);
+
+    t.deepEqual(unobserved, [target, parent]);
+});
+
+test('Pointer.tick() :: centeredToTarget=true :: update on scroll of target container', t => {
+    let y = 0;
+    let containerScrollHandler;
+    const container = {
+        scrollLeft: 0,
+        scrollTop: 0,
+        overflow: 'auto',
+        addEventListener (type, handler) {
+            if (type === 'scrollend') {
+                containerScrollHandler = handler;
+            }
+        },
+        removeEventListener () {}
+    };
+    const target = generateElement({width: 100, height: 100});
+    target.parentElement = container;
+
+    global.window.requestAnimationFrame = (callback) => callback();
+    global.window.getComputedStyle = (element) => ({
+        overflowX: element.overflow || 'visible',
+        overflowY: element.overflow || 'visible'
+    });
+
+    const pointer = new Pointer({
+        scenes: [
+            {
+                target,
+                centeredToTarget: true,
+                effect(scene, progress) {
+                    y = progress.y;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer.progress.x = 50;
+    pointer.progress.y = 50;
+    pointer.tick();
+
+    t.is(y, 0.5);
+
+    container.scrollTop = 50;
+    containerScrollHandler();
+
+    t.is(y, 250 / 400);
+});
+
+test('Pointer.removeScene() :: with polyfill :: remove container listener before document listener', t => {
+    delete global.window.onscrollend;
+
+    const container = {
+        scrollLeft: 0,
+        scrollTop: 0,
+        overflow: 'auto',
+        addEventListener () {},
+        removeEventListener () {}
+    };
+    const a = generateElement({width: 100, height: 100});
+    const b = generateElement({width: 100, height: 100});
+    a.parentElement = container;
+
+    global.window.getComputedStyle = (element) => ({
+        overflowX: element.overflow || 'visible',
+        overflowY: element.overflow || 'visible'
+    });
+
+    const sceneA = { target: a, centeredToTarget: true, effect() {} };
+    const pointer = new Pointer({
+        scenes: [
+            sceneA,
+            { target: b, centeredToTarget: true, effect() {} }
+        ]
+    });
+
+    pointer.start();
+
+    t.notThrows(() => {
+        pointer.removeScene(sceneA);
+        pointer.destroy();
+    });
+});
+
+test('Pointer.tick() :: skipOffscreen=true :: skip scenes with target outside viewport', t => {
+    let intersectionCallback;
+    let calls = 0;
+    let y = 0;
+    const target = generateElement({width: 100, height: 100});
+
+    global.IntersectionObserver = class {
+        constructor (callback) {
+            intersectionCallback = callback;
+        }
+        observe () {}
+        disconnect () {}
+    };
+
+    const pointer = new Pointer({
+        skipOffscreen: true,
+        scenes: [
+            {
+                target,
+                effect(scene, progress) {
+                    calls += 1;
+                    y = progress.y;
+                }
+            }
+        ]
+    });
+
+    pointer.start();
+    intersectionCallback([{target, isIntersecting: true}]);
+
+    t.is(calls, 0);
+
+    pointer.progress.x = 100;
+    pointer.progress.y = 50;
+    pointer.tick();
+
+    t.is(calls, 1);
+
+    intersectionCallback([{target, isIntersecting: false}]);
+    pointer.progress.y = 100;
+    pointer.tick();
+
+    t.is(calls, 1);
+    t.is(y, 0.25);
+
+    intersectionCallback([{target, isIntersecting: true}]);
+
+    t.is(calls, 2);
+    t.is(y, 0.5);
+
+    delete global.IntersectionObserver;
+});
+
+test('Pointer.addScene() :: set up scene with target on running effect', t => {
+    let x = 0;
+    let y = 0;
+    let calls = 0;
+    const target = generateElement({width: 100, height: 100});
+    target.offsetParent = {offsetLeft: 0, offsetTop: 0};
+    target.offsetLeft = 0;
+    target.offsetTop = 0;
+
+    const scenes = [
+        {
+            effect() {
+                calls += 1;
+            }
+        }
+    ];
+    const pointer = new Pointer({ scenes });
+
+    pointer.start();
+    pointer.progress.x = 50;
+    pointer.progress.y = 100;
+    pointer.tick();
+
+    pointer.addScene({
+        target,
+        centeredToTarget: true,
+        effect(scene, progress) {
+            x = progress.x;
+            y = progress.y;
+        }
+    });
+
+    t.is(pointer.config.scenes.length, 2);
+    t.is(scenes.length, 1);
+    t.is(x, 0.5);
+    t.is(y, 0.6667);
+    t.is(calls, 1);
+
+    pointer.progress.y = 50;
+    pointer.tick();
+
+    t.is(y, 0.5);
+    t.is(calls, 2);
+});
+
+test('Pointer.addScene() :: skip effect before first input', t => {
+    let calls = 0;
+    const pointer = new Pointer({ scenes: [] });
+
+    pointer.start();
+    pointer.addScene({
+        effect() {
+            calls += 1;
+        }
+    });
+
+    t.is(calls, 0);
+
+    pointer.tick();
+
+    t.is(calls, 1);
+});
+
+test('Pointer.removeScene() :: destroy only removed scene', t => {
+    let destroyed = [];
+    let calls = 0;
+    const target = generateElement({width: 100, height: 100});
+    target.offsetParent = {offsetLeft: 0, offsetTop: 0};
+    target.offsetLeft = 0;
+    target.offsetTop = 0;
+
+    const scene = {
+        target,
+        centeredToTarget: true,
+        effect() {
+            calls += 1;
+        },
+        destroy() { destroyed.push('target'); }
+    };
+    const pointer = new Pointer({
+        scenes: [
+            scene,
+            {
+                effect() {},
+                destroy() { destroyed.push('other'); }
+            }
+        ]
+    });
+
+    pointer.start();
+    pointer.removeScene(scene);
+
+    t.deepEqual(destroyed, ['target']);
+    t.is(pointer.config.scenes.length, 1);
+    t.is(scene.transform, undefined);
+    t.is(scene.targetRect, undefined);
+
+    pointer.tick();
+
+    t.is(calls, 0);
+
+    pointer.destroy();
+
+    t.deepEqual(destroyed, ['target', 'other']);
+});
+
+test('Pointer.updateScene() :: replace scene in place', t => {
+    const calls = [];
+    const first = {effect() { calls.push('first'); }};
+    const second = {effect() { calls.push('second'); }};
+    const third = {effect() { calls.push('third'); }};
+    const pointer = new Pointer({
+        scenes: [first, second]
+    });
+
+    pointer.start();
+    pointer.tick();
+    pointer.updateScene(first, third);
+
+    t.deepEqual(pointer.config.scenes, [third, second]);
+    t.deepEqual(calls, ['first', 'second', 'third']);
+
+    pointer.tick();
+
+    t.deepEqual(calls, ['first', 'second', 'third', 'third', 'second']);
+});
+
+test('Pointer.updateScene() :: skipOffscreen=true :: keep replacement of offscreen scene hidden', t => {
+    let intersectionCallback;
+    const calls = [];
+    const target = generateElement({width: 100, height: 100});
+
+    global.IntersectionObserver = class {
+        constructor (callback) {
+            intersectionCallback = callback;
+        }
+        observe () {}
+        unobserve () {}
+        disconnect () {}
+    };
+
+    const first = {target, effect() { calls.push('first'); }};
+    const second = {target, effect() { calls.push('second'); }};
+    const pointer = new Pointer({
+        skipOffscreen: true,
+        scenes: [first]
+    });
+
+    pointer.start();
+    intersectionCallback([{target, isIntersecting: false}]);
+    pointer.updateScene(first, second);
+    pointer.tick();
+
+    t.deepEqual(calls, []);
+
+    intersectionCallback([{target, isIntersecting: true}]);
+
+    t.deepEqual(calls, ['second']);
+
+    delete global.IntersectionObserver;
+});
+
+test('Pointer.on() :: emit lifecycle, resize and scene active events', t => {
+    const events = [];
+    const root = generateElement({width: 100, height: 100});
+    const scene = {
+        range: {x: {start: 0, end: 50}},
+        effect() {}
+    };
+    const pointer = new Pointer({
+        root,
+        allowActiveEvent: true,
+        scenes: [scene]
+    });
+    const handler = (event) => events.push(event.type);
+
+    ['start', 'pause', 'destroy', 'resize', 'active', 'inactive'].forEach(type => pointer.on(type, handler));
+    pointer.on('active', (event) => {
+        t.is(event.scene, scene);
+        t.is(event.target, pointer);
+    });
+
+    pointer.start();
+    pointer.progress.x = 20;
+    pointer.tick();
+    pointer.tick();
+    pointer.progress.x = 80;
+    pointer.tick();
+
+    global.resizeObserver.trigger({width: 200, height: 200});
+
+    pointer.off('resize', handler);
+    global.resizeObserver.trigger({width: 100, height: 100});
+
+    pointer.destroy();
+
+    t.deepEqual(events, ['start', 'active', 'inactive', 'resize', 'pause', 'destroy']);
+});
+
+test('Pointer._measure() :: drag=true :: pointerdown inside root keeps propagating', t => {
+    let dispatched = false;
+    let stopped = false;
+    const listeners = {};
+    const root = generateElement({width: 100, height: 100});
+    root.addEventListener = (type, handler) => { listeners[type] = handler; };
+    root.clientLeft = 0;
+    root.clientTop = 0;
+    root.getBoundingClientRect = () => ({left: 50, top: 20});
+    root.dispatchEvent = () => { dispatched = true; };
+
+    const pointer = new Pointer({
+        root,
+        drag: true,
+        noThrottle: true,
+        scenes: [
+            { effect() {} }
+        ]
+    });
+
+    pointer.start();
+    listeners.pointerdown({
+        type: 'pointerdown',
+        target: {},
+        pointerId: 1,
+        pointerType: 'mouse',
+        button: 0,
+        clientX: 80,
+        clientY: 60,
+        stopPropagation () { stopped = true; }
+    });
+
+    t.false(stopped);
+    t.false(dispatched);
+    t.true(pointer.progress.pressed);
+    t.is(pointer.progress.x, 30);
+    t.is(pointer.progress.y, 40);
 });
@@ -0,0 +1,106 @@
+import test from 'ava';
+import { getAnimationScene } from '../src/animation.js';
+
+class KeyframeEffect {
+  constructor ({ delay = 0, duration = 1000, iterations = 1 } = {}) {
+    this.composite = 'replace';
+    this.timing = { delay, duration, activeDuration: duration * iterations };
+  }
+  getComputedTiming () {
+    return this.timing;
+  }
+}
+
+class Animation {
+  constructor (effect) {
+    this.effect = effect;
+    this.playState = 'idle';
+    this.currentTime = null;
+  }
+  play () {
+    this.playState = 'running';
+  }
+  pause () {
+    this.playState = 'paused';
+  }
+  cancel () {
+    this.playState = 'idle';
+    this.currentTime = null;
+  }
+}
+
+test.beforeEach(() => {
+  global.Animation = Animation;
+  global.document = { timeline: {} };
+});
+
+test('getAnimationScene() :: map progress to current time of each axis', t => {
+  const x = new Animation(new KeyframeEffect({ delay: 100, duration: 1000 }));
+  const y = new KeyframeEffect({ duration: 500 });
+
+  x.play();
+  x.currentTime = 300;
+
+  const scene = getAnimationScene({ x, y, disabled: false });
+
+  t.is(scene.disabled, false);
+  t.is(x.playState, 'running');
+
+  scene.effect(scene, { x: 0.5, y: 0.2 });
+
+  t.is(x.playState, 'paused');
+  t.is(x.currentTime, 600);
+  t.is(y.composite, 'replace');
+
+  scene.effect(scene, { x: 1, y: 0.2 });
+
+  t.is(x.currentTime, 1100 - 1e-3);
+
+  scene.destroy();
+
+  t.is(x.playState, 'running');
+  t.is(x.currentTime, 300);
+});
+
+test('getAnimationScene() :: blend :: composite y on top of x and restore on destroy', t => {
+  let destroyed = false;
+  const x = new Animation(new KeyframeEffect());
+  const y = new Animation(new KeyframeEffect());
+  const scene = getAnimationScene({
+    x,
+    y,
+    blend: true,
+    destroy () {
+      destroyed = true;
+    }
+  });
+
+  scene.effect(scene, { x: 0, y: 0.25 });
+
+  t.is(x.effect.composite, 'replace');
+  t.is(y.effect.composite, 'add');
+  t.is(y.currentTime, 250);
+
+  scene.destroy();
+
+  t.is(y.effect.composite, 'replace');
+  t.is(y.playState, 'idle');
+  t.is(y.currentTime, null);
+  t.true(destroyed);
+});
+
+test('getAnimationScene() :: map infinite animations over one iteration, and zero duration to start', t => {
+  const x = new Animation(new KeyframeEffect({ delay: 100, duration: 1000, iterations: Infinity }));
+  const y = new Animation(new KeyframeEffect({ delay: 100, duration: 0 }));
+  const scene = getAnimationScene({ x, y });
+
+  scene.effect(scene, { x: 0.5, y: 0.5 });
+
+  t.is(x.currentTime, 600);
+  t.is(y.currentTime, 100);
+
+  scene.effect(scene, { x: 1, y: 1 });
+
+  t.is(x.currentTime, 1100 - 1e-3);
+  t.is(y.currentTime, 100);
+});
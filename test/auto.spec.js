@@ -0,0 +1,172 @@
+import test from 'ava';
+import { autoInit } from '../src/auto.js';
+
+class Element {
+  constructor (attributes = {}) {
+    this.nodeType = 1;
+    this.attributes = attributes;
+    this.children = [];
+    this.parentElement = null;
+    this.offsetWidth = 100;
+    this.offsetHeight = 100;
+    this.properties = new Map();
+    this.style = {
+      setProperty: (name, value) => this.properties.set(name, value),
+      removeProperty: (name) => this.properties.delete(name)
+    };
+  }
+  append (child) {
+    child.parentElement = this;
+    this.children.push(child);
+    return child;
+  }
+  remove () {
+    this.parentElement.children = this.parentElement.children.filter(child => child !== this);
+    this.parentElement = null;
+  }
+  getAttribute (name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+  hasAttribute (name) {
+    return name in this.attributes;
+  }
+  matches (selector) {
+    return this.hasAttribute(selector.slice(1, -1));
+  }
+  closest (selector) {
+    let element = this;
+
+    while (element && !element.matches(selector)) {
+      element = element.parentElement;
+    }
+
+    return element;
+  }
+  querySelectorAll (selector) {
+    return this.children.flatMap(child => [
+      ...(child.matches(selector) ? [child] : []),
+      ...child.querySelectorAll(selector)
+    ]);
+  }
+  contains (node) {
+    while (node && node !== this) {
+      node = node.parentElement;
+    }
+
+    return Boolean(node);
+  }
+  addEventListener () {}
+  removeEventListener () {}
+}
+
+class MutationObserver {
+  constructor (callback) {
+    this.callback = callback;
+    this.connected = false;
+    global.mutationObserver = this;
+  }
+  observe () {
+    this.connected = true;
+  }
+  disconnect () {
+    this.connected = false;
+  }
+  trigger (addedNodes = []) {
+    this.callback([{ addedNodes }]);
+  }
+}
+
+let frames;
+
+test.beforeEach(() => {
+  frames = [];
+  global.window = {
+    devicePixelRatio: 1,
+    scrollY: 0,
+    document: {
+      documentElement: { clientWidth: 400, clientHeight: 200 }
+    },
+    addEventListener () {},
+    removeEventListener () {},
+    requestAnimationFrame (callback) {
+      frames.push(callback);
+      return frames.length;
+    }
+  };
+  global.document = {
+    addEventListener () {},
+    removeEventListener () {},
+    body: {
+      addEventListener () {},
+      dispatchEvent () {}
+    }
+  };
+  global.PointerEvent = class {};
+  global.ResizeObserver = class {
+    observe () {}
+    unobserve () {}
+    disconnect () {}
+  };
+  global.MutationObserver = MutationObserver;
+});
+
+test('autoInit() :: drive scene elements with a controller per root', t => {
+  const container = new Element();
+  const pageScene = container.append(new Element({ 'data-kuliso-scene': '' }));
+  const root = container.append(new Element({ 'data-kuliso-root': '', 'data-kuliso-transition': '200' }));
+  const scene = root.append(new Element({ 'data-kuliso-scene': 'tilt', 'data-kuliso-curve': 'linear' }));
+
+  const auto = autoInit({ container });
+
+  t.is(auto.instances.size, 2);
+  t.is(auto.instances.get(null).config.scenes.length, 1);
+
+  const pointer = auto.instances.get(root);
+
+  t.is(pointer.config.root, root);
+  t.is(pointer.config.transitionDuration, 200);
+  t.is(pointer.config.scenes[0].target, scene);
+
+  // effects are updated from first input
+  auto.instances.forEach(instance => instance.tick());
+  frames.forEach(frame => frame());
+
+  t.is(scene.properties.get('--tilt-x'), 0.5);
+  t.is(pageScene.properties.get('--kuliso-y'), 0.5);
+
+  auto.destroy();
+
+  t.is(scene.properties.size, 0);
+  t.is(pageScene.properties.size, 0);
+  t.false(global.mutationObserver.connected);
+});
+
+test('autoInit() :: set up added and tear down removed elements', t => {
+  const container = new Element();
+  const root = container.append(new Element({ 'data-kuliso-root': '' }));
+  const first = root.append(new Element({ 'data-kuliso-scene': '' }));
+
+  const auto = autoInit({ container });
+  const pointer = auto.instances.get(root);
+
+  const wrapper = new Element();
+  const second = wrapper.append(new Element({ 'data-kuliso-scene': '', 'data-kuliso-proximity': '50' }));
+
+  root.append(wrapper);
+  global.mutationObserver.trigger([wrapper]);
+
+  t.is(pointer.config.scenes.length, 2);
+  t.is(pointer.config.scenes[1].proximity, 50);
+
+  first.remove();
+  global.mutationObserver.trigger();
+
+  t.is(pointer.config.scenes.length, 1);
+  t.is(pointer.config.scenes[0].target, second);
+
+  root.remove();
+  global.mutationObserver.trigger();
+
+  t.is(pointer.effect, null);
+  t.is(auto.instances.size, 0);
+});
@@ -0,0 +1,61 @@
+import test from 'ava';
+import { getBindingConfig, syncScenes, optionsEqual, bindLatestFunctions } from '../src/bindings.js';
+import { Pointer } from '../src/Pointer.js';
+import { Gyro } from '../src/Gyro.js';
+
+test('getBindingConfig() :: set root for Pointer and a progress scene', t => {
+  const root = {};
+  const updates = [];
+  const config = getBindingConfig(Pointer, root, { trackProgress: true, noThrottle: true }, progress => updates.push(progress));
+
+  t.is(config.root, root);
+  t.true(config.noThrottle);
+  t.false('trackProgress' in config);
+  t.is(config.scenes.length, 1);
+
+  config.scenes[0].effect(config.scenes[0], { x: 0.5, y: 0.5 });
+
+  t.deepEqual(updates, [{ x: 0.5, y: 0.5 }]);
+  t.is(getBindingConfig(Gyro, root).root, undefined);
+});
+
+test('syncScenes() :: add and remove only changed scenes', t => {
+  const calls = [];
+  const controller = {
+    addScene: scene => calls.push(['add', scene]),
+    removeScene: scene => calls.push(['remove', scene])
+  };
+  const a = {};
+  const b = {};
+  const c = {};
+
+  const scenes = syncScenes(controller, [a, b], [b, c]);
+
+  t.deepEqual(scenes, [b, c]);
+  t.deepEqual(calls, [['remove', a], ['add', c]]);
+});
+
+test('optionsEqual() :: compare plain objects by value and any two functions as equal', t => {
+  const source = new (class {})();
+
+  t.true(optionsEqual({ x: 1 }, { x: 1 }));
+  t.false(optionsEqual({ x: 1 }, { x: 1, y: 2 }));
+  t.true(optionsEqual({ spring: { stiffness: 120 } }, { spring: { stiffness: 120 } }));
+  t.false(optionsEqual({ spring: { stiffness: 120 } }, { spring: { stiffness: 100 } }));
+  t.true(optionsEqual({ transitionEasing: p => p }, { transitionEasing: p => p * p }));
+  t.false(optionsEqual({ transitionEasing: p => p }, { transitionEasing: null }));
+  t.true(optionsEqual({ source }, { source }));
+  t.false(optionsEqual({ source }, { source: new (class {})() }));
+});
+
+test('bindLatestFunctions() :: call functions of latest options', t => {
+  let latest = { transitionEasing: p => p, transitionDuration: 100 };
+  const options = bindLatestFunctions(latest, () => latest);
+
+  t.is(options.transitionDuration, 100);
+  t.is(options.transitionEasing(0.5), 0.5);
+
+  latest = { transitionEasing: p => p * p, transitionDuration: 100 };
+
+  t.is(options.transitionEasing(0.5), 0.25);
+});
@@ -0,0 +1,102 @@
+import test from 'ava';
+import { getCSSVarsScene } from '../src/cssVars.js';
+
+let frames;
+
+function generateElement () {
+  const properties = new Map();
+
+  return {
+    style: {
+      properties,
+      setProperty (name, value) {
+        properties.set(name, value);
+      },
+      removeProperty (name) {
+        properties.delete(name);
+      }
+    }
+  };
+}
+
+test.beforeEach(() => {
+  frames = [];
+  global.window = {
+    requestAnimationFrame (callback) {
+      frames.push(callback);
+      return frames.length;
+    }
+  };
+});
+
+test('getCSSVarsScene() :: write progress once per frame and clear on destroy', t => {
+  let destroyed = false;
+  const target = generateElement();
+  const scene = getCSSVarsScene({
+    target,
+    centeredToTarget: true,
+    destroy () {
+      destroyed = true;
+    }
+  });
+
+  t.is(scene.target, target);
+  t.true(scene.centeredToTarget);
+
+  scene.effect(scene, { x: 0.2, y: 0.4 }, { x: 1, y: -1 }, true);
+  scene.effect(scene, { x: 0.3, y: 0.5 }, { x: 2, y: -2 }, false);
+
+  t.is(frames.length, 1);
+  t.is(target.style.properties.size, 0);
+
+  frames.shift()();
+
+  t.deepEqual(Object.fromEntries(target.style.properties), {
+    '--kuliso-x': 0.3,
+    '--kuliso-y': 0.5,
+    '--kuliso-vx': 2,
+    '--kuliso-vy': -2,
+    '--kuliso-active': 0
+  });
+
+  scene.effect(scene, { x: 1, y: 1 }, { x: 0, y: 0 }, true);
+  scene.destroy();
+  frames.shift()();
+
+  t.is(target.style.properties.size, 0);
+  t.true(destroyed);
+});
+
+test('getCSSVarsScene() :: custom names and register properties', t => {
+  const registered = [];
+  const element = generateElement();
+
+  global.CSS = {
+    registerProperty ({ name }) {
+      if (registered.includes(name)) {
+        throw new Error('already registered');
+      }
+      registered.push(name);
+    }
+  };
+
+  const scene = getCSSVarsScene({
+    element,
+    register: true,
+    properties: { x: '--tilt-x', vx: null, vy: null, active: null }
+  });
+
+  getCSSVarsScene({ element, register: true });
+
+  t.deepEqual(registered, ['--tilt-x', '--kuliso-y', '--kuliso-x', '--kuliso-vx', '--kuliso-vy', '--kuliso-active']);
+
+  scene.effect(scene, { x: 0.5, y: 0.25 }, { x: 1, y: 1 });
+  frames.shift()();
+
+  t.deepEqual(Object.fromEntries(element.style.properties), {
+    '--tilt-x': 0.5,
+    '--kuliso-y': 0.25
+  });
+
+  delete global.CSS;
+});
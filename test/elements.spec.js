@@ -0,0 +1,149 @@
+import test from 'ava';
+import { defineElements } from '../src/elements.js';
+
+const registry = new Map();
+
+class HTMLElement {
+  constructor () {
+    this.attributes = {};
+    this.shadowRoot = null;
+    this.offsetWidth = 100;
+    this.offsetHeight = 100;
+    this.events = [];
+    this.properties = new Map();
+    this.style = {
+      setProperty: (name, value) => this.properties.set(name, value),
+      removeProperty: (name) => this.properties.delete(name)
+    };
+  }
+  attachShadow () {
+    this.shadowRoot = {};
+    return this.shadowRoot;
+  }
+  setAttribute (name, value) {
+    const oldValue = this.getAttribute(name);
+
+    this.attributes[name] = String(value);
+
+    if (this.constructor.observedAttributes.includes(name)) {
+      this.attributeChangedCallback(name, oldValue, String(value));
+    }
+  }
+  getAttribute (name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+  hasAttribute (name) {
+    return name in this.attributes;
+  }
+  dispatchEvent (event) {
+    this.events.push(event);
+  }
+  addEventListener () {}
+  removeEventListener () {}
+}
+
+class CustomEvent {
+  constructor (type, { detail }) {
+    this.type = type;
+    this.detail = detail;
+  }
+}
+
+test.beforeEach(() => {
+  global.window = {
+    devicePixelRatio: 1,
+    scrollY: 0,
+    document: {
+      documentElement: { clientWidth: 400, clientHeight: 200 }
+    },
+    addEventListener () {},
+    removeEventListener () {},
+    requestAnimationFrame (callback) {
+      callback();
+      return 1;
+    }
+  };
+  global.document = {
+    addEventListener () {},
+    removeEventListener () {},
+    body: {
+      addEventListener () {},
+      dispatchEvent () {}
+    }
+  };
+  global.PointerEvent = class {};
+  global.ResizeObserver = class {
+    observe () {}
+    disconnect () {}
+  };
+  global.requestAnimationFrame = () => 1;
+  global.HTMLElement = HTMLElement;
+  global.CustomEvent = CustomEvent;
+  global.customElements = {
+    get: name => registry.get(name),
+    define: (name, constructor) => registry.set(name, constructor)
+  };
+});
+
+test('defineElements() :: define elements once', t => {
+  defineElements();
+
+  const PointerElement = registry.get('kuliso-pointer');
+
+  defineElements();
+
+  t.is(registry.get('kuliso-pointer'), PointerElement);
+  t.deepEqual(registry.get('kuliso-gyro').observedAttributes, ['transition-duration', 'spring', 'no-throttle', 'samples', 'max-beta', 'max-gamma']);
+});
+
+test('<kuliso-pointer> :: drive a Pointer on itself while connected', t => {
+  defineElements();
+
+  const PointerElement = registry.get('kuliso-pointer');
+  const element = new PointerElement();
+
+  element.setAttribute('no-throttle', '');
+  element.connectedCallback();
+
+  const pointer = element.controller;
+
+  t.is(pointer.config.root, element);
+  t.true(pointer.config.noThrottle);
+  t.truthy(element.shadowRoot);
+
+  pointer.progress.x = 20;
+  pointer.progress.y = 50;
+  pointer.tick();
+
+  t.deepEqual(element.progress, { x: 0.2, y: 0.5 });
+  t.is(element.events[0].type, 'progress');
+  t.is(element.events[0].detail.progress.x, 0.2);
+  t.is(element.properties.get('--kuliso-x'), 0.2);
+
+  element.setAttribute('transition-duration', '200');
+
+  t.not(element.controller, pointer);
+  t.is(pointer.effect, null);
+  t.is(element.controller.config.transitionDuration, 200);
+
+  element.disconnectedCallback();
+
+  t.is(element.controller, null);
+  t.is(element.properties.size, 0);
+});
+
+test('<kuliso-gyro> :: drive a Gyro with attribute options', async t => {
+  defineElements();
+
+  const GyroElement = registry.get('kuliso-gyro');
+  const element = new GyroElement();
+
+  element.setAttribute('max-beta', '30');
+  element.connectedCallback();
+
+  t.is(element.controller.maxBeta, 30);
+  t.is(element.controller.config.root, undefined);
+  t.is(await element.requestPermission(), 'unsupported');
+
+  element.disconnectedCallback();
+});
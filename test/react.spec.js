@@ -0,0 +1,180 @@
+import test from 'ava';
+import { createElement } from 'react';
+import TestRenderer from 'react-test-renderer';
+import { usePointer } from '../react.js';
+
+const { act } = TestRenderer;
+
+let listeners;
+
+test.beforeEach(() => {
+  listeners = {};
+
+  global.IS_REACT_ACT_ENVIRONMENT = true;
+  global.window = {
+    document: {
+      documentElement: { clientWidth: 400, clientHeight: 200 }
+    },
+    addEventListener (type, handler) {
+      listeners[type] = handler;
+    },
+    removeEventListener (type, handler) {
+      if (listeners[type] === handler) {
+        delete listeners[type];
+      }
+    }
+  };
+  global.document = {
+    addEventListener () {},
+    removeEventListener () {}
+  };
+  global.requestAnimationFrame = () => 0;
+  global.cancelAnimationFrame = () => {};
+});
+
+function Card ({ scenes, options, onRender }) {
+  onRender(usePointer(undefined, scenes, options));
+
+  return null;
+}
+
+function generateScene (name, calls) {
+  return {
+    effect () {
+      calls.push(['effect', name]);
+    },
+    destroy () {
+      calls.push(['destroy', name]);
+    }
+  };
+}
+
+test('usePointer() :: mount, re-render, update scenes and unmount', t => {
+  let result;
+  let renderer;
+  const calls = [];
+  const a = generateScene('a', calls);
+  const b = generateScene('b', calls);
+  const onRender = (value) => {
+    result = value;
+  };
+  const render = (scenes, options) => createElement(Card, { scenes, options, onRender });
+
+  act(() => {
+    renderer = TestRenderer.create(render([a], { noThrottle: true, transitionEasing: p => p, spring: { stiffness: 120 } }));
+  });
+
+  const controller = result.controller;
+
+  t.deepEqual(controller.config.scenes, [a]);
+
+  // inline options with the same values
+  act(() => {
+    renderer.update(render([a], { noThrottle: true, transitionEasing: p => p * p, spring: { stiffness: 120 } }));
+  });
+
+  t.is(result.controller, controller);
+  t.deepEqual(calls.filter(([type]) => type === 'destroy'), []);
+
+  act(() => {
+    renderer.update(render([a, b], { noThrottle: true, transitionEasing: p => p * p, spring: { stiffness: 120 } }));
+  });
+
+  t.is(result.controller, controller);
+  t.deepEqual(controller.config.scenes, [a, b]);
+
+  act(() => {
+    renderer.update(render([b], { noThrottle: true, transitionEasing: p => p * p, spring: { stiffness: 120 } }));
+  });
+
+  t.deepEqual(controller.config.scenes, [b]);
+  t.deepEqual(calls.filter(([type]) => type === 'destroy'), [['destroy', 'a']]);
+
+  act(() => {
+    renderer.unmount();
+  });
+
+  t.deepEqual(calls.filter(([type]) => type === 'destroy'), [['destroy', 'a'], ['destroy', 'b']]);
+  t.is(listeners.pointermove, undefined);
+});
+
+test('usePointer() :: restart when option values change and use latest inline functions', t => {
+  let result;
+  let renderer;
+  const onRender = (value) => {
+    result = value;
+  };
+  const render = (options) => createElement(Card, { scenes: [], options, onRender });
+
+  act(() => {
+    renderer = TestRenderer.create(render({ transitionDuration: 100, transitionEasing: p => p }));
+  });
+
+  const controller = result.controller;
+
+  act(() => {
+    renderer.update(render({ transitionDuration: 100, transitionEasing: p => p * p }));
+  });
+
+  t.is(result.controller, controller);
+  t.is(controller.config.transitionEasing(0.5), 0.25);
+
+  act(() => {
+    renderer.update(render({ transitionDuration: 200, transitionEasing: p => p * p }));
+  });
+
+  t.not(result.controller, controller);
+  t.is(result.controller.config.transitionDuration, 200);
+  t.is(controller.effect, null);
+
+  act(() => {
+    renderer.unmount();
+  });
+});
+
+test('usePointer() :: trackProgress :: re-render with progress without restarting', t => {
+  let result;
+  let renderer;
+  const onRender = (value) => {
+    result = value;
+  };
+
+  act(() => {
+    renderer = TestRenderer.create(createElement(Card, { scenes: [], options: { noThrottle: true, trackProgress: true }, onRender }));
+  });
+
+  const controller = result.controller;
+
+  act(() => {
+    listeners.pointermove({ type: 'pointermove', x: 100, y: 50 });
+  });
+
+  t.is(result.controller, controller);
+  t.deepEqual(result.progress, { x: 0.25, y: 0.25 });
+
+  act(() => {
+    renderer.unmount();
+  });
+});
+
+test('usePointer() :: skip effects on mount before first input', t => {
+  let renderer;
+  const calls = [];
+  const a = generateScene('a', calls);
+
+  act(() => {
+    renderer = TestRenderer.create(createElement(Card, { scenes: [a], options: { noThrottle: true }, onRender () {} }));
+  });
+
+  t.deepEqual(calls, []);
+
+  act(() => {
+    listeners.pointermove({ type: 'pointermove', x: 100, y: 50 });
+  });
+
+  t.deepEqual(calls, [['effect', 'a']]);
+
+  act(() => {
+    renderer.unmount();
+  });
+});
@@ -0,0 +1,205 @@
+import test from 'ava';
+import { record, Player } from '../src/recorder.js';
+import { Pointer } from '../src/Pointer.js';
+import { Gyro } from '../src/Gyro.js';
+
+let listeners, frames, now;
+
+test.beforeEach(() => {
+  listeners = {};
+  frames = [];
+  now = 0;
+
+  global.window = {
+    document: {
+      documentElement: { clientWidth: 400, clientHeight: 200 }
+    },
+    addEventListener (type, handler) {
+      listeners[type] = handler;
+    },
+    removeEventListener (type, handler) {
+      if (listeners[type] === handler) {
+        delete listeners[type];
+      }
+    }
+  };
+  global.document = {
+    addEventListener () {},
+    removeEventListener () {}
+  };
+  global.requestAnimationFrame = (callback) => frames.push(callback);
+  global.cancelAnimationFrame = (id) => {
+    frames[id - 1] = null;
+  };
+  global.performance = { now: () => now };
+});
+
+function runFrame (time) {
+  const callback = frames.find(Boolean);
+
+  frames = frames.map(frame => frame === callback ? null : frame);
+  now = time;
+  callback(time);
+}
+
+test('record() :: capture pointer events into a trace', t => {
+  const pointer = new Pointer({
+    noThrottle: true,
+    scenes: [{ effect () {} }]
+  });
+
+  now = 100;
+  const recording = record(pointer);
+
+  listeners.pointermove({ type: 'pointermove', timeStamp: 110, x: 40, y: 20, pointerId: 1, pointerType: 'mouse', button: -1 });
+  listeners.pointermove({ type: 'pointermove', timeStamp: 150, x: 200, y: 100, pointerId: 1, pointerType: 'mouse', button: -1 });
+
+  const trace = recording.stop();
+
+  t.is(listeners.pointermove, undefined);
+  t.deepEqual(JSON.parse(JSON.stringify(trace)), {
+    version: 1,
+    type: 'pointer',
+    rect: { width: 400, height: 200 },
+    events: [
+      { t: 10, type: 'pointermove', x: 40, y: 20, pointerId: 1, pointerType: 'mouse', button: -1 },
+      { t: 50, type: 'pointermove', x: 200, y: 100, pointerId: 1, pointerType: 'mouse', button: -1 }
+    ]
+  });
+});
+
+test('Player :: play, pause, seek and speed through the controller', t => {
+  const ends = [];
+  let x = 0;
+  const pointer = new Pointer({
+    noThrottle: true,
+    scenes: [{ effect (scene, progress) { x = progress.x; } }]
+  });
+  const trace = {
+    version: 1,
+    type: 'pointer',
+    events: [
+      { t: 0, type: 'pointermove', x: 40, y: 0 },
+      { t: 100, type: 'pointermove', x: 200, y: 0 },
+      { t: 200, type: 'pointermove', x: 400, y: 0 }
+    ]
+  };
+  const player = new Player(pointer, trace, { speed: 2 });
+
+  player.on('end', () => ends.push(player.currentTime));
+  player.play();
+  runFrame(0);
+
+  t.truthy(pointer.effect);
+  t.is(x, 0.1);
+
+  runFrame(50);
+  t.is(x, 0.5);
+
+  player.pause();
+  t.false(player.playing);
+
+  player.seek(0);
+  t.is(x, 0.1);
+
+  player.seek(150);
+  t.is(x, 0.5);
+
+  player.play();
+  runFrame(100);
+
+  t.is(x, 1);
+  t.deepEqual(ends, [200]);
+  t.is(frames.filter(Boolean).length, 0);
+});
+
+test('Player :: replay gyro orientation with recorded timestamps', t => {
+  let x = 0;
+  const gyro = new Gyro({
+    samples: 0,
+    noThrottle: true,
+    scenes: [{ effect (scene, progress, velocity) { x = progress.x; } }]
+  });
+  const player = new Player(gyro, {
+    version: 1,
+    type: 'gyro',
+    events: [
+      { t: 0, type: 'deviceorientation', x: 0, y: 0 },
+      { t: 500, type: 'deviceorientation', x: 15, y: 0 }
+    ]
+  });
+
+  player.seek(500);
+
+  t.is(x, 1);
+  t.is(gyro.progress.angularVx, 30);
+});
+
+test('Player :: reset drag state when seeking backwards and looping', t => {
+  const pointer = new Pointer({
+    drag: true,
+    noThrottle: true,
+    scenes: [{ effect () {} }]
+  });
+  const trace = {
+    version: 1,
+    type: 'pointer',
+    events: [
+      { t: 0, type: 'pointerdown', x: 0, y: 0, pointerId: 1, pointerType: 'mouse', button: 0 },
+      { t: 10, type: 'pointermove', x: 80, y: 0, pointerId: 1, pointerType: 'mouse', button: 0 },
+      { t: 20, type: 'pointerup', x: 80, y: 0, pointerId: 1, pointerType: 'mouse', button: 0 }
+    ]
+  };
+  const player = new Player(pointer, trace, { loop: true });
+
+  player.seek(20);
+
+  t.is(pointer.progress.offsetX, 80);
+
+  player.seek(0);
+
+  t.true(pointer.progress.pressed);
+  t.is(pointer.progress.offsetX, 0);
+
+  player.seek(20);
+
+  t.is(pointer.progress.offsetX, 80);
+  t.is(pointer.pressedPointers.size, 0);
+
+  player.play();
+  runFrame(0);
+
+  t.is(pointer.progress.offsetX, 0);
+  t.true(pointer.progress.pressed);
+
+  player.destroy();
+});
+
+test('Player :: reset gyro smoothing when seeking backwards', t => {
+  const xs = [];
+  const gyro = new Gyro({
+    samples: 0,
+    noThrottle: true,
+    smoothing: { type: 'one-euro' },
+    scenes: [{ effect (scene, progress) { xs.push(progress.x); } }]
+  });
+  const player = new Player(gyro, {
+    version: 1,
+    type: 'gyro',
+    events: [
+      { t: 0, type: 'deviceorientation', x: 0, y: 0 },
+      { t: 100, type: 'deviceorientation', x: 15, y: 0 },
+      { t: 200, type: 'deviceorientation', x: 15, y: 0 }
+    ]
+  });
+
+  player.seek(200);
+
+  const firstPass = xs.splice(0);
+
+  player.seek(0);
+  player.seek(200);
+
+  t.is(firstPass.length, 3);
+  t.deepEqual(xs, firstPass);
+});
@@ -0,0 +1,159 @@
+import test from 'ava';
+import { Pointer } from '../src/Pointer.js';
+import { Gyro } from '../src/Gyro.js';
+import { ManualSource } from '../src/sources.js';
+
+test('ManualSource :: drive a Pointer without DOM events', t => {
+  let progress, velocity, active;
+  const source = new ManualSource({ rect: { width: 200, height: 100 } });
+  const pointer = new Pointer({
+    source,
+    noThrottle: true,
+    allowActiveEvent: true,
+    scenes: [
+      {
+        effect (scene, p, v, a) {
+          progress = p;
+          velocity = v;
+          active = a;
+        }
+      }
+    ]
+  });
+
+  source.push({ x: 50, y: 50 });
+
+  t.is(progress, undefined);
+
+  pointer.start();
+  source.push({ x: 50, y: 25 });
+
+  t.deepEqual(progress, { x: 0.25, y: 0.25 });
+  t.deepEqual(velocity, { x: -50, y: -25 });
+  t.true(active);
+
+  pointer.pause();
+  source.push({ x: 100, y: 100 });
+
+  t.deepEqual(progress, { x: 0.25, y: 0.25 });
+
+  pointer.destroy();
+});
+
+test('ManualSource :: normalized input for Pointer and Gyro', t => {
+  let pointerX, gyroProgress, gyroVelocity;
+  const source = new ManualSource({ normalized: true, rect: { width: 200, height: 100 } });
+  const pointer = new Pointer({
+    source,
+    noThrottle: true,
+    scenes: [{ effect (scene, p) { pointerX = p.x; } }]
+  });
+  const gyro = new Gyro({
+    source,
+    samples: 0,
+    noThrottle: true,
+    scenes: [{ effect (scene, p, v) { gyroProgress = p; gyroVelocity = v; } }]
+  });
+
+  pointer.start();
+  gyro.start();
+
+  source.push({ x: 0.5, y: 0.5, time: 0 });
+  source.push({ x: 0.75, y: 0.5, time: 500 });
+
+  t.is(pointerX, 0.75);
+  t.is(pointer.progress.x, 150);
+  t.is(gyroProgress.x, 0.75);
+  t.is(gyroVelocity.x, 0.5);
+  t.is(gyroVelocity.angularX, 15);
+
+  pointer.destroy();
+  gyro.destroy();
+});
+
+test('ManualSource :: angles drive Gyro calibration and range', t => {
+  let x;
+  const source = new ManualSource();
+  const gyro = new Gyro({
+    source,
+    samples: 1,
+    noThrottle: true,
+    scenes: [{ effect (scene, p) { x = p.x; } }]
+  });
+
+  gyro.start();
+
+  source.push({ x: 10, y: 0, time: 0 });
+  source.push({ x: 25, y: 0, time: 16 });
+
+  t.is(x, 1);
+
+  gyro.destroy();
+});
+
+test('ManualSource :: press, release and hover input for Pointer with drag, multiTouch and active events', t => {
+  let progress;
+  const hover = [];
+  const source = new ManualSource({ rect: { width: 200, height: 100 } });
+  const pointer = new Pointer({
+    source,
+    drag: true,
+    multiTouch: true,
+    allowActiveEvent: true,
+    noThrottle: true,
+    scenes: [{ effect (scene, p) { progress = p; } }]
+  });
+
+  const { _pointerEnter, _pointerLeave } = pointer;
+
+  pointer._pointerEnter = () => { hover.push('enter'); _pointerEnter(); };
+  pointer._pointerLeave = () => { hover.push('leave'); _pointerLeave(); };
+  pointer.start();
+
+  source.push({ type: 'pointerenter' });
+
+  source.push({ type: 'pointerdown', pointerId: 1, pointerType: 'touch', button: 0, x: 50, y: 50 });
+  source.push({ type: 'pointerdown', pointerId: 2, pointerType: 'touch', button: 0, x: 150, y: 50 });
+
+  t.true(progress.pressed);
+  t.is(progress.pointers.length, 2);
+  t.is(progress.spread, 100);
+
+  source.push({ type: 'pointermove', pointerId: 2, pointerType: 'touch', x: 150, y: 100 });
+  source.push({ type: 'pointerup', pointerId: 1, pointerType: 'touch' });
+  source.push({ type: 'pointerleave', pointerId: 2, pointerType: 'touch' });
+
+  t.false(progress.pressed);
+  t.is(progress.pointers.length, 0);
+  t.deepEqual(hover, ['enter', 'leave']);
+
+  pointer.destroy();
+});
+
+test('ManualSource :: normalized input goes through Gyro calibration and smoothing', t => {
+  let x;
+  const calibrations = [];
+  const source = new ManualSource({ normalized: true });
+  const gyro = new Gyro({
+    source,
+    samples: 1,
+    smoothing: { type: 'low-pass', factor: 0.5 },
+    noThrottle: true,
+    scenes: [{ effect (scene, p) { x = p.x; } }]
+  });
+
+  gyro.on('calibrate', ({ x: angle }) => calibrations.push(angle));
+  gyro.start();
+
+  source.push({ x: 0.6, y: 0.5, time: 0 });
+
+  t.deepEqual(calibrations, [3]);
+  t.is(x, 0.5);
+
+  source.push({ x: 0.8, y: 0.5, time: 16 });
+
+  // half way from 3 to 9 degrees, 3 degrees from neutral
+  t.is(x, 0.6);
+
+  gyro.destroy();
+});
@@ -0,0 +1,135 @@
+import test from 'ava';
+import { createRenderer, defineComponent, nextTick, ref } from 'vue';
+import { usePointer } from '../vue.js';
+
+let listeners;
+
+const { createApp } = createRenderer({
+  createElement: () => ({}),
+  createText: () => ({}),
+  createComment: () => ({}),
+  insert () {},
+  remove () {},
+  setText () {},
+  setElementText () {},
+  patchProp () {},
+  parentNode: () => null,
+  nextSibling: () => null
+});
+
+test.beforeEach(() => {
+  listeners = {};
+
+  global.window = {
+    document: {
+      documentElement: { clientWidth: 400, clientHeight: 200 }
+    },
+    addEventListener (type, handler) {
+      listeners[type] = handler;
+    },
+    removeEventListener (type, handler) {
+      if (listeners[type] === handler) {
+        delete listeners[type];
+      }
+    }
+  };
+  global.document = {
+    addEventListener () {},
+    removeEventListener () {}
+  };
+  global.requestAnimationFrame = () => 0;
+  global.cancelAnimationFrame = () => {};
+});
+
+function mount (scenes, options) {
+  let result;
+  const app = createApp(defineComponent({
+    setup () {
+      result = usePointer(null, scenes, options);
+
+      return () => null;
+    }
+  }));
+
+  app.mount({});
+
+  return { app, result };
+}
+
+function generateScene (name, destroyed) {
+  return {
+    effect () {},
+    destroy () {
+      destroyed.push(name);
+    }
+  };
+}
+
+test('usePointer() :: mount, update scenes and unmount', async t => {
+  const destroyed = [];
+  const a = generateScene('a', destroyed);
+  const b = generateScene('b', destroyed);
+  const scenes = ref([a]);
+  const { app, result } = mount(scenes, { noThrottle: true, trackProgress: true });
+  const controller = result.controller.value;
+
+  t.deepEqual(controller.config.scenes.slice(1), [a]);
+
+  scenes.value = [a, b];
+  await nextTick();
+
+  t.is(result.controller.value, controller);
+  t.deepEqual(controller.config.scenes.slice(1), [a, b]);
+
+  scenes.value.splice(0, 1);
+  await nextTick();
+
+  t.deepEqual(controller.config.scenes.slice(1), [b]);
+  t.deepEqual(destroyed, ['a']);
+
+  listeners.pointermove({ type: 'pointermove', x: 100, y: 50 });
+
+  t.deepEqual(result.progress.value, { x: 0.25, y: 0.25 });
+
+  app.unmount();
+
+  t.deepEqual(destroyed, ['a', 'b']);
+  t.is(result.controller.value, null);
+  t.is(listeners.pointermove, undefined);
+});
+
+test('usePointer() :: restart only when option values change', async t => {
+  const destroyed = [];
+  const a = generateScene('a', destroyed);
+  const options = ref({ transitionDuration: 100, spring: { stiffness: 120 } });
+  const { app, result } = mount([a], options);
+  const controller = result.controller.value;
+
+  options.value = { transitionDuration: 100, spring: { stiffness: 120 } };
+  await nextTick();
+
+  t.is(result.controller.value, controller);
+
+  options.value.spring.stiffness = 100;
+  await nextTick();
+
+  t.not(result.controller.value, controller);
+  t.deepEqual(result.controller.value.config.spring, { stiffness: 100 });
+  t.deepEqual(result.controller.value.config.scenes, [a]);
+  t.deepEqual(destroyed, ['a']);
+
+  app.unmount();
+});
+
+test('usePointer() :: skip effects on mount before first input', t => {
+  let calls = 0;
+  const { app } = mount([{ effect () { calls += 1; } }], { noThrottle: true });
+
+  t.is(calls, 0);
+
+  listeners.pointermove({ type: 'pointermove', x: 100, y: 50 });
+
+  t.is(calls, 1);
+
+  app.unmount();
+});
@@ -2,13 +2,138 @@ declare type PointerConfig = {
   scenes: PointerScene;
   root?: HTMLElement;
   noThrottle?: boolean;
+  skipOffscreen?: boolean;
+  multiTouch?: boolean;
+  drag?: boolean;
+  pointerCapture?: boolean;
+  transitionDuration?: number;
+  transitionEasing?: (p: number) => number;
+  spring?: boolean | SpringConfig;
+  source?: InputSource;
+}
+
+declare type SpringConfig = {
+  stiffness?: number;
+  damping?: number;
+  mass?: number;
+  precision?: number;
+}
+
+declare type PointerProgress = {
+  x: number;
+  y: number;
+  pointers?: {id: number, x: number, y: number}[];
+  spread?: number;
+  rotation?: number;
+  angle?: number;
+  distance?: number;
+  radius?: number;
+  proximity?: number;
+  pressed?: boolean;
+  button?: number;
+  drag?: {x: number, y: number};
+  offset?: {x: number, y: number};
 }
 
 declare type PointerScene = {
-  effect: (scene: PointerScene, progress: {x: number, y: number}, velocity: {x: number, y: number}) => void;
+  effect: (scene: PointerScene, progress: PointerProgress, velocity: {x: number, y: number}) => void;
   centeredToTarget?: boolean;
+  polar?: boolean;
+  proximity?: number;
+  enter?: (scene: PointerScene) => void;
+  leave?: (scene: PointerScene) => void;
+  range?: {x?: SceneRange, y?: SceneRange};
+  curve?: SceneCurve | {x?: SceneCurve, y?: SceneCurve};
   target?: HTMLElement;
   disabled?: boolean;
 }
 
+declare type SceneCurve = ((p: number) => number) | string | [number, number][];
+
+declare type SceneRangeOffset = number | string | {element: HTMLElement, edge?: 'start' | 'center' | 'end'};
+
+declare type SceneRange = {
+  start?: SceneRangeOffset;
+  end?: SceneRangeOffset;
+}
+
+declare type HybridConfig = {
+  scenes: PointerScene[];
+  mode?: 'auto' | 'pointer' | 'gyro';
+  gyroTimeout?: number;
+  pointer?: Partial<PointerConfig>;
+  gyro?: object;
+}
+
+declare type ControllerEvent = {
+  type: string;
+  target: object;
+  scene?: PointerScene;
+  width?: number;
+  height?: number;
+  x?: number;
+  y?: number;
+  state?: 'granted' | 'denied' | 'unsupported';
+}
+
+declare type ControllerEventHandler = (event: ControllerEvent) => void;
+
+declare type AnimationSceneConfig = Partial<Omit<PointerScene, 'effect'>> & {
+  x?: Animation | KeyframeEffect;
+  y?: Animation | KeyframeEffect;
+  blend?: boolean;
+}
+
+declare type CSSVarsSceneConfig = Partial<Omit<PointerScene, 'effect'>> & {
+  element?: HTMLElement;
+  properties?: {x?: string | null, y?: string | null, vx?: string | null, vy?: string | null, active?: string | null};
+  register?: boolean;
+}
+
+declare type AutoInitConfig = {
+  container?: HTMLElement;
+}
+
+declare type BindingOptions = Partial<Omit<PointerConfig, 'scenes' | 'root'>> & {
+  trackProgress?: boolean;
+}
+
+declare type TraceEvent = {
+  t: number;
+  type: string;
+  x?: number;
+  y?: number;
+  pointerId?: number;
+  pointerType?: string;
+  button?: number;
+  active?: boolean;
+  rotationRate?: {x: number, y: number} | null;
+}
+
+declare type Trace = {
+  version: number;
+  type: 'pointer' | 'gyro';
+  rect?: {width: number, height: number};
+  events: TraceEvent[];
+}
+
+declare type SourceInput = {
+  type?: string;
+  x?: number;
+  y?: number;
+  pointerId?: number;
+  pointerType?: string;
+  button?: number;
+  active?: boolean;
+  rotationRate?: {x: number, y: number} | null;
+  time?: number;
+}
+
+declare type InputSource = {
+  connect: (handler: (input: SourceInput) => void) => void;
+  disconnect: (handler: (input: SourceInput) => void) => void;
+  normalized?: boolean;
+  rect?: {width: number, height: number};
+}
+
 declare module "kuliso";
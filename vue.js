@@ -0,0 +1,94 @@
+import { shallowRef, watch, onMounted, onBeforeUnmount, toValue } from 'vue';
+import { Pointer } from './src/Pointer.js';
+import { Gyro } from './src/Gyro.js';
+import { getBindingConfig, syncScenes, optionsEqual, bindLatestFunctions } from './src/bindings.js';
+
+/**
+ * Runs a controller while the component is mounted.
+ * Restarts it only when target or option values change, and adds or removes scenes as they change.
+ *
+ * @private
+ * @param {typeof Pointer|typeof Gyro} Controller
+ * @param {Ref<HTMLElement>|function} [target]
+ * @param {Ref<Array>|Array|function} scenes
+ * @param {Ref<BindingOptions>|BindingOptions|function} [options]
+ * @return {{controller: ShallowRef<Pointer|Gyro|null>, progress: ShallowRef<Object|null>}}
+ */
+function useController (Controller, target, scenes, options) {
+  const controller = shallowRef(null);
+  const progress = shallowRef(null);
+  let currentScenes = [];
+
+  function teardown () {
+    controller.value?.destroy();
+    controller.value = null;
+    currentScenes = [];
+  }
+
+  function setup () {
+    teardown();
+
+    const config = bindLatestFunctions(toValue(options), () => toValue(options));
+    const instance = new Controller(getBindingConfig(Controller, toValue(target), config, (value) => {
+      progress.value = value;
+    }));
+
+    instance.start();
+    currentScenes = syncScenes(instance, [], toValue(scenes));
+    controller.value = instance;
+  }
+
+  function restart () {
+    if (controller.value) {
+      setup();
+    }
+  }
+
+  onMounted(setup);
+  onBeforeUnmount(teardown);
+
+  watch(() => toValue(target), restart, { flush: 'post' });
+  watch(() => toValue(options), (value, previous) => {
+    // changed in place, or replaced by options with different values
+    if (value === previous || !optionsEqual(previous, value)) {
+      restart();
+    }
+  }, { flush: 'post', deep: true });
+
+  watch(() => [...(toValue(scenes) || [])], (value) => {
+    if (controller.value) {
+      currentScenes = syncScenes(controller.value, currentScenes, value);
+    }
+  }, { flush: 'post' });
+
+  return { controller, progress };
+}
+
+/**
+ * Vue composable that runs a Pointer while the component is mounted.
+ *
+ * @param {Ref<HTMLElement>|function} [target] template ref of the root element. Defaults to the viewport.
+ * @param {Ref<PointerScene[]>|PointerScene[]|function} scenes
+ * @param {Ref<BindingOptions>|BindingOptions|function} [options] PointerConfig options, and trackProgress to update progress.
+ * @return {{controller: ShallowRef<Pointer|null>, progress: ShallowRef<PointerProgress|null>}}
+ *
+ * @example
+ * import { usePointer } from 'kuliso/vue.js';
+ *
+ * const card = ref(null);
+ * const { progress } = usePointer(card, [], { trackProgress: true });
+ */
+export function usePointer (target, scenes, options) {
+  return useController(Pointer, target, scenes, options);
+}
+
+/**
+ * Vue composable that runs a Gyro while the component is mounted.
+ *
+ * @param {Ref<GyroScene[]>|GyroScene[]|function} scenes
+ * @param {Ref<BindingOptions>|BindingOptions|function} [options] GyroConfig options, and trackProgress to update progress.
+ * @return {{controller: ShallowRef<Gyro|null>, progress: ShallowRef<Object|null>}}
+ */
+export function useGyro (scenes, options) {
+  return useController(Gyro, null, scenes, options);
+}